@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+
+// Adds a week's sheet, recording and/or video to Files/: finds the parsha's
+// folder, makes the year (and part) folder, copies the files in under the
+// names build-manifest.js expects, writes meta.json and rebuilds the
+// manifest.
+
+const fs = require("fs");
+const path = require("path");
+const { buildManifest, validateSchema } = require("./build-manifest");
+const { cleanName, navUrl } = require("./build-feed");
+const { expectedBase, tidyName } = require("./lint-files");
+
+const FILES_DIR = "./Files";
+const META_SCHEMA_FILE = "./meta.schema.json";
+const YEAR = /^\d{4}$/;
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+
+const USAGE = `Usage: node add-entry.js --parsha <name> --year <year> [options]
+
+Options:
+  --pdf <file>       Sheet to copy in
+  --mp3 <file>       Recording to copy in
+  --youtube <url>    YouTube link or video ID (repeat for several videos)
+  --part <n>         Part number, for shiurim given in parts: files go in
+                     a part folder below the year folder, named like the
+                     other parts ("<Parsha> <year> (n)" for the first)
+  --sefer <name>     Sefer to look in
+  --new-parsha       Add the parsha to --sefer as a new folder. Without
+                     this, a parsha that isn't found is an error
+  --force            Replace a sheet or recording that's already there
+  --dry-run          Show what would be done without doing it
+  --no-build         Don't rebuild the manifest afterwards
+  --help             Show this message
+
+At least one of --pdf, --mp3 and --youtube is needed. Names match loosely:
+"lech lecha" finds "03 - Lech Lecha".`;
+
+// Bad options, or an entry that can't be added. Thrown instead of exiting
+// so callers decide how to fail.
+class AddEntryError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = "AddEntryError";
+    this.code = code;
+  }
+}
+
+// "01 - Lech Lecha" and "lech-lecha" both become "lechlecha"
+function matchName(name) {
+  return cleanName(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function listDirs(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((item) => item.isDirectory())
+    .map((item) => item.name)
+    .sort();
+}
+
+// The video ID from a YouTube link (watch, youtu.be, shorts, embed, live)
+// or a bare ID
+function youtubeId(value) {
+  const input = value.trim();
+  if (YOUTUBE_ID.test(input)) return input;
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+  } catch (error) {
+    url = null;
+  }
+  if (url && /(^|\.)(youtube\.com|youtu\.be)$/i.test(url.hostname)) {
+    const id = /youtu\.be$/i.test(url.hostname)
+      ? url.pathname.slice(1)
+      : url.searchParams.get("v") ||
+        (/^\/(?:shorts|embed|live)\/([^/]+)/.exec(url.pathname) || [])[1];
+    if (id && YOUTUBE_ID.test(id)) return id;
+  }
+  throw new AddEntryError(`Not a YouTube link or video ID: ${value}`, {
+    code: "usage",
+  });
+}
+
+// Edits needed to turn a into b, for "did you mean"
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Up to three parsha folders spelled close to name, closest first
+function similarParshiyos(name, parshiyos) {
+  const wanted = matchName(name);
+  const limit = Math.max(2, Math.floor(wanted.length / 2));
+  return parshiyos
+    .map((parts) => ({
+      parts,
+      distance: editDistance(wanted, matchName(parts[1])),
+    }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ parts }) => parts);
+}
+
+// The parsha folder as [sefer, parsha] under Files/. With newParsha, a
+// parsha that isn't there yet is added to sefer, numbered after the last
+// one.
+function findParsha(parsha, sefer, newParsha) {
+  const sefarim = listDirs(FILES_DIR).filter(
+    (name) => !sefer || matchName(name) === matchName(sefer)
+  );
+  if (sefer && sefarim.length === 0) {
+    throw new AddEntryError(`No sefer folder matches "${sefer}"`);
+  }
+
+  const parshiyos = sefarim.flatMap((seferDir) =>
+    listDirs(path.join(FILES_DIR, seferDir)).map((parshaDir) => [
+      seferDir,
+      parshaDir,
+    ])
+  );
+  const matches = parshiyos
+    .filter((parts) => matchName(parts[1]) === matchName(parsha))
+    .map((parts) => ({ parts, created: false }));
+  if (matches.length > 1) {
+    throw new AddEntryError(
+      `"${parsha}" is in more than one sefer (${matches
+        .map((match) => match.parts[0])
+        .join(", ")}) - pass --sefer`
+    );
+  }
+  if (matches.length === 1) return matches[0];
+
+  if (!newParsha) {
+    const similar = similarParshiyos(parsha, parshiyos).map(
+      ([seferDir, parshaDir]) =>
+        `"${cleanName(parshaDir)}" (${cleanName(seferDir)})`
+    );
+    const hint =
+      similar.length > 0 ? ` - did you mean ${similar.join(" or ")}?` : ".";
+    throw new AddEntryError(
+      `No parsha folder matches "${parsha}"${hint} To add it as a new ` +
+        `parsha, pass --new-parsha and --sefer.`
+    );
+  }
+  const seferDir = sefarim[0];
+  const numbers = listDirs(path.join(FILES_DIR, seferDir))
+    .map((name) => /^(\d+)\s*-/.exec(name))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+  const next = String(Math.max(0, ...numbers) + 1).padStart(2, "0");
+  return {
+    parts: [seferDir, `${next} - ${tidyName(parsha)}`],
+    created: true,
+  };
+}
+
+// Works out everything add-entry will do, without touching Files/:
+// { pathParts, parshaCreated, folders, copies: [{ from, to, replaces }],
+// metaPath, meta, metaChanged }.
+// Throws AddEntryError when the entry can't be added as asked.
+function planEntry(options) {
+  if (!fs.existsSync(FILES_DIR)) {
+    throw new AddEntryError("Files directory not found!");
+  }
+  for (const type of ["pdf", "mp3"]) {
+    const file = options[type];
+    if (!file) continue;
+    if (path.extname(file).toLowerCase() !== `.${type}`) {
+      throw new AddEntryError(`--${type} must be a .${type} file: ${file}`);
+    }
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      throw new AddEntryError(`File not found: ${file}`);
+    }
+  }
+
+  const parsha = findParsha(options.parsha, options.sefer, options.newParsha);
+  const yearParts = [...parsha.parts, options.year];
+  const yearDir = path.join(FILES_DIR, ...yearParts);
+
+  let yearFiles = [];
+  let yearDirs = [];
+  if (fs.existsSync(yearDir)) {
+    yearFiles = fs.readdirSync(yearDir).filter((name) => {
+      return fs.statSync(path.join(yearDir, name)).isFile();
+    });
+    yearDirs = listDirs(yearDir);
+  }
+  const yearIsEntry = yearFiles.some(
+    (file) => /\.(pdf|mp3)$/i.test(file) || file === "meta.json"
+  );
+
+  let pathParts = yearParts;
+  if (options.part) {
+    if (yearIsEntry) {
+      throw new AddEntryError(
+        `${yearParts.join("/")} already holds an entry without a part ` +
+          `number - move it into its own part folder first`
+      );
+    }
+    // Reuse the part's folder, or name a new one like the other parts
+    // ("Bereshis (1)" -> "Bereshis (3)")
+    const partDirs = yearDirs.filter((name) => /\(\d+\)$/.test(tidyName(name)));
+    const existing = partDirs.find((name) =>
+      tidyName(name).endsWith(`(${options.part})`)
+    );
+    const title = tidyName(cleanName(parsha.parts[1]));
+    const partDir =
+      partDirs.length > 0
+        ? tidyName(partDirs[0]).replace(/\(\d+\)$/, `(${options.part})`)
+        : `${title} ${options.year} (${options.part})`;
+    pathParts = [...yearParts, existing || partDir];
+  } else if (!yearIsEntry && yearDirs.length > 0) {
+    throw new AddEntryError(
+      `${yearParts.join("/")} is split into parts (${yearDirs.join(", ")}) ` +
+        `- pass --part`
+    );
+  }
+
+  const entryDir = path.join(FILES_DIR, ...pathParts);
+  const entryFiles = fs.existsSync(entryDir) ? fs.readdirSync(entryDir) : [];
+  const folders = [];
+  for (let depth = 2; depth <= pathParts.length; depth++) {
+    const dir = path.join(FILES_DIR, ...pathParts.slice(0, depth));
+    if (!fs.existsSync(dir)) folders.push(dir);
+  }
+
+  // Files follow an existing sheet's name, as build-manifest.js expects;
+  // otherwise the folder's
+  const existingPdf = entryFiles.find((file) =>
+    file.toLowerCase().endsWith(".pdf")
+  );
+  const base =
+    (!options.pdf && existingPdf && existingPdf.slice(0, -".pdf".length)) ||
+    expectedBase(pathParts);
+
+  const copies = [];
+  for (const type of ["pdf", "mp3"]) {
+    if (!options[type]) continue;
+    const target = `${base}.${type}`;
+    const others = entryFiles.filter(
+      (file) => file.toLowerCase().endsWith(`.${type}`) && file !== target
+    );
+    const existing = entryFiles.includes(target) ? target : others[0];
+    if (existing && !options.force) {
+      throw new AddEntryError(
+        `${pathParts.join("/")} already has ${existing} - pass --force ` +
+          `to replace it`
+      );
+    }
+    copies.push({
+      from: options[type],
+      to: path.join(entryDir, target),
+      replaces: others.map((file) => path.join(entryDir, file)),
+    });
+  }
+
+  // New videos are added after any already listed. With none, youtube is
+  // left out rather than written empty (which lint-files.js warns about).
+  const metaPath = path.join(entryDir, "meta.json");
+  let meta = {};
+  if (entryFiles.includes("meta.json")) {
+    try {
+      meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+    } catch (error) {
+      throw new AddEntryError(`${metaPath} is invalid JSON: ${error.message}`);
+    }
+  }
+  const videos = [meta.youtube || []]
+    .flat()
+    .filter((id) => typeof id === "string" && id.trim() !== "");
+  for (const id of options.youtube) {
+    if (!videos.includes(id)) videos.push(id);
+  }
+  const { youtube, ...details } = meta;
+  const nextMeta =
+    videos.length > 0
+      ? { youtube: videos.length > 1 ? videos : videos[0], ...details }
+      : details;
+
+  const schema = JSON.parse(fs.readFileSync(META_SCHEMA_FILE, "utf8"));
+  const problems = validateSchema(schema, nextMeta);
+  if (problems.length > 0) {
+    throw new AddEntryError(
+      `meta.json would be invalid: ${problems.join("; ")}`
+    );
+  }
+
+  return {
+    pathParts,
+    parshaCreated: parsha.created,
+    folders,
+    copies,
+    metaPath,
+    meta: nextMeta,
+    metaChanged:
+      !entryFiles.includes("meta.json") ||
+      JSON.stringify(meta) !== JSON.stringify(nextMeta),
+  };
+}
+
+function printPlan(plan, log) {
+  log(`📁 ${plan.pathParts.join("/")}`);
+  if (plan.parshaCreated) {
+    log(`   🆕 New parsha folder: ${plan.pathParts[1]}`);
+  }
+  for (const folder of plan.folders) {
+    log(`   📂 Create ${path.relative(FILES_DIR, folder)}/`);
+  }
+  for (const { from, to, replaces } of plan.copies) {
+    log(`   📄 ${from} → ${path.basename(to)}`);
+    for (const file of replaces) {
+      log(`   🗑️  Replaces ${path.basename(file)}`);
+    }
+  }
+  if (plan.metaChanged) {
+    log(`   📝 meta.json: ${JSON.stringify(plan.meta)}`);
+  }
+}
+
+function applyPlan(plan) {
+  for (const folder of plan.folders) {
+    fs.mkdirSync(folder, { recursive: true });
+  }
+  for (const { from, to, replaces } of plan.copies) {
+    fs.copyFileSync(from, to);
+    for (const file of replaces) fs.unlinkSync(file);
+  }
+  if (plan.metaChanged) {
+    fs.writeFileSync(plan.metaPath, `${JSON.stringify(plan.meta, null, 2)}\n`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    pdf: null,
+    mp3: null,
+    youtube: [],
+    parsha: null,
+    year: null,
+    part: null,
+    sefer: null,
+    newParsha: false,
+    force: false,
+    dryRun: false,
+    build: true,
+    help: false,
+  };
+  const valueOptions = ["--pdf", "--mp3", "--parsha", "--year", "--sefer"];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) {
+        throw new AddEntryError(`${arg} needs a value`, { code: "usage" });
+      }
+      return argv[++i];
+    };
+
+    if (valueOptions.includes(arg)) options[arg.slice(2)] = value();
+    else if (arg === "--youtube") options.youtube.push(youtubeId(value()));
+    else if (arg === "--part") {
+      const part = value();
+      if (!/^[1-9]\d*$/.test(part)) {
+        throw new AddEntryError(`--part must be a number: ${part}`, {
+          code: "usage",
+        });
+      }
+      options.part = Number(part);
+    } else if (arg === "--new-parsha") options.newParsha = true;
+    else if (arg === "--force") options.force = true;
+    else if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--no-build") options.build = false;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else {
+      throw new AddEntryError(`Unknown option: ${arg}`, { code: "usage" });
+    }
+  }
+  if (options.help) return options;
+
+  if (!options.parsha || !options.year) {
+    throw new AddEntryError("--parsha and --year are required", {
+      code: "usage",
+    });
+  }
+  if (!YEAR.test(options.year)) {
+    throw new AddEntryError(
+      `--year must be a year like 5785: ${options.year}`,
+      {
+        code: "usage",
+      }
+    );
+  }
+  if (options.newParsha && !options.sefer) {
+    throw new AddEntryError("--new-parsha needs --sefer", { code: "usage" });
+  }
+  if (!options.pdf && !options.mp3 && options.youtube.length === 0) {
+    throw new AddEntryError("Nothing to add - pass --pdf, --mp3 or --youtube", {
+      code: "usage",
+    });
+  }
+  return options;
+}
+
+// Allow running as a script or importing as a module
+if (require.main === module) {
+  (async () => {
+    let options;
+    try {
+      options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    try {
+      const plan = planEntry(options);
+      printPlan(plan, console.log);
+      if (options.dryRun) {
+        console.log("\nℹ️ Dry run - nothing changed.");
+        return;
+      }
+
+      applyPlan(plan);
+      console.log("\n✅ Entry added.");
+
+      if (options.build) {
+        console.log("");
+        // The new files are already named to match, and other entries'
+        // MP3s are left for an interactive build
+        await buildManifest({ rename: "no" });
+      } else {
+        console.log("ℹ️ Run node build-manifest.js to update the manifest.");
+      }
+      console.log(`\n🔗 ${navUrl(plan.pathParts)}`);
+    } catch (error) {
+      console.error("❌ Error adding entry:", error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { AddEntryError, applyPlan, planEntry, youtubeId };
@@ -0,0 +1,564 @@
+#!/usr/bin/env node
+
+// Builds a printable booklet: every sheet for a sefer or a year merged into
+// one PDF in manifest order, with a cover page, a table of contents,
+// bookmarks and a divider page before each parsha. Entries with a video
+// get a QR code to it on their divider. Run node build-manifest.js first.
+
+const fs = require("fs");
+const path = require("path");
+const { SITE_URL, cleanName, itemTitle } = require("./build-feed");
+const { pageSlug } = require("./build-pages");
+const { selectEntries } = require("./export-entries");
+const { PdfDocument } = require("./pdf-reader");
+const {
+  PdfWriter,
+  encodeWinAnsi,
+  name,
+  standardFont,
+  textWidth,
+} = require("./pdf-writer");
+const { encodeQr } = require("./qr-code");
+
+const MANIFEST_FILE = "./manifest.json";
+const BOOKLETS_DIR = "./booklets";
+const SITE_TITLE = "Zeidy D's Parsha Sheets";
+
+// Generated pages are US Letter, in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const FOOTER_Y = 24;
+const TOC_TOP = PAGE_HEIGHT - MARGIN - 58;
+const TOC_LINE_HEIGHT = 18;
+const TOC_LINES_PER_PAGE = Math.floor((TOC_TOP - MARGIN) / TOC_LINE_HEIGHT);
+const DIVIDER_TOP = 550;
+const QR_SIZE = 72;
+const QR_GAP = 12;
+
+// Resource names for the two fonts on every page we draw on
+const FONT = "BkRegular";
+const BOLD = "BkBold";
+
+const USAGE = `Usage: node build-booklet.js (--sefer <name> | --year <year>) [options]
+
+Options:
+  --sefer <name>   Sheets from this sefer, e.g. Shemos
+  --year <year>    Sheets from this year, e.g. 5785 (with --sefer, only
+                   that year of the sefer)
+  --out <file>     Where to write the PDF (default: ${BOOKLETS_DIR}/<name>.pdf)
+  --help           Show this message`;
+
+// Bad options or nothing to print. Thrown instead of exiting so callers
+// decide how to fail.
+class BookletError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = "BookletError";
+    this.code = code;
+  }
+}
+
+// Entries grouped by parsha (or by sefer for entries directly under it,
+// like Misc), in manifest order
+function groupEntries(items) {
+  const groups = [];
+  for (const item of items) {
+    const key = item.pathParts.slice(0, item.pathParts.length > 2 ? 2 : 1);
+    let group = groups[groups.length - 1];
+    if (!group || group.key.join("/") !== key.join("/")) {
+      group = {
+        key,
+        title: cleanName(key[key.length - 1]),
+        sefer: cleanName(key[0]),
+        entries: [],
+      };
+      groups.push(group);
+    }
+    // "5785", "5785 – Story 1", or "Bloopers" for Misc entries
+    item.label = item.pathParts.slice(key.length).map(cleanName).join(" – ");
+    group.entries.push(item);
+  }
+  return groups;
+}
+
+// ----- Drawing -----
+
+// Content stream and link annotations for one generated page
+function createCanvas() {
+  const ops = [];
+  const links = [];
+
+  function text(x, y, value, { size = 11, bold = false, gray = 0 } = {}) {
+    ops.push(
+      `BT ${gray} g /${bold ? BOLD : FONT} ${size} Tf ${x.toFixed(
+        2
+      )} ${y.toFixed(2)} Td ${encodeWinAnsi(value)} Tj ET`
+    );
+  }
+
+  return {
+    ops,
+    links,
+    text,
+    centered(y, value, options = {}) {
+      const width = textWidth(value, options.size || 11, options.bold);
+      text((PAGE_WIDTH - width) / 2, y, value, options);
+    },
+    right(x, y, value, options = {}) {
+      const width = textWidth(value, options.size || 11, options.bold);
+      text(x - width, y, value, options);
+    },
+    line(x1, y1, x2, y2) {
+      ops.push(`0.6 G 0.75 w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+    // QR code with its top left corner at x, y, quiet zone included
+    qr(x, y, size, modules) {
+      const count = modules.length + 8;
+      const module = size / count;
+      const rects = [];
+      modules.forEach((row, r) => {
+        // One rectangle per run of dark modules
+        for (let c = 0; c < row.length; c++) {
+          if (!row[c]) continue;
+          const start = c;
+          while (c + 1 < row.length && row[c + 1]) c++;
+          rects.push(
+            `${(x + (start + 4) * module).toFixed(2)} ${(
+              y -
+              (r + 5) * module
+            ).toFixed(2)} ${((c - start + 1) * module).toFixed(
+              2
+            )} ${module.toFixed(2)} re`
+          );
+        }
+      });
+      ops.push(`0 g ${rects.join(" ")} f`);
+    },
+    linkToPage(rect, pageRef) {
+      links.push({
+        Type: name("Annot"),
+        Subtype: name("Link"),
+        Rect: rect,
+        Border: [0, 0, 0],
+        Dest: [pageRef, name("Fit")],
+      });
+    },
+    linkToUrl(rect, url) {
+      links.push({
+        Type: name("Annot"),
+        Subtype: name("Link"),
+        Rect: rect,
+        Border: [0, 0, 0],
+        A: { S: name("URI"), URI: url },
+      });
+    },
+  };
+}
+
+function footer(canvas, label, pageNumber) {
+  canvas.centered(FOOTER_Y, `${label} · ${pageNumber}`, { size: 8, gray: 0.4 });
+}
+
+function drawCover(canvas, subtitle, groups) {
+  const entries = groups.flatMap((group) => group.entries);
+  const sheets = entries.filter((item) => item.doc).length;
+  const videos = entries.reduce((sum, item) => sum + item.videos.length, 0);
+  const counts = [`${sheets} ${sheets === 1 ? "sheet" : "sheets"}`];
+  if (videos > 0) counts.push(`${videos} ${videos === 1 ? "video" : "videos"}`);
+
+  canvas.centered(560, SITE_TITLE, { size: 32, bold: true });
+  canvas.centered(515, subtitle, { size: 22 });
+  canvas.line(MARGIN * 2, 495, PAGE_WIDTH - MARGIN * 2, 495);
+  canvas.centered(470, counts.join(" · "), { size: 12, gray: 0.3 });
+  canvas.centered(96, new URL(SITE_URL).host, { size: 11, gray: 0.3 });
+  canvas.centered(80, `Compiled ${new Date().toISOString().slice(0, 10)}`, {
+    size: 9,
+    gray: 0.4,
+  });
+}
+
+// One line per parsha and per entry, with the page it starts on
+function tocLines(groups) {
+  const lines = [];
+  for (const group of groups) {
+    lines.push({ text: group.heading, heading: true, target: group });
+    for (const item of group.entries) {
+      lines.push({ text: item.label, heading: false, target: item });
+    }
+  }
+  return lines;
+}
+
+function drawToc(canvas, lines, pageIndex, pageNumber) {
+  canvas.text(
+    MARGIN,
+    PAGE_HEIGHT - MARGIN - 22,
+    pageIndex === 0 ? "Contents" : "Contents (continued)",
+    { size: 22, bold: true }
+  );
+
+  lines.forEach((line, index) => {
+    const y = TOC_TOP - index * TOC_LINE_HEIGHT;
+    const size = line.heading ? 12 : 11;
+    const x = line.heading ? MARGIN : MARGIN + 18;
+    const number = String(line.target.pageNumber);
+    const numberX = PAGE_WIDTH - MARGIN;
+
+    canvas.text(x, y, line.text, { size, bold: line.heading });
+    canvas.right(numberX, y, number, { size, bold: line.heading });
+
+    if (!line.heading) {
+      const start = x + textWidth(line.text, size) + 6;
+      const end = numberX - textWidth(number, size) - 6;
+      const dots = Math.floor((end - start) / textWidth(" .", size));
+      if (dots > 0) {
+        canvas.right(end, y, " .".repeat(dots), { size, gray: 0.6 });
+      }
+    }
+
+    canvas.linkToPage([x, y - 4, numberX, y + size], line.target.pageRef);
+  });
+
+  footer(canvas, "Contents", pageNumber);
+}
+
+function rowHeight(item) {
+  return item.videos.length > 0 ? QR_SIZE + 28 : 44;
+}
+
+// Splits a parsha's entries over as many divider pages as they need
+function paginateDivider(group) {
+  const pages = [[]];
+  let y = DIVIDER_TOP;
+  for (const item of group.entries) {
+    const height = rowHeight(item);
+    if (y - height < MARGIN && pages[pages.length - 1].length > 0) {
+      pages.push([]);
+      y = DIVIDER_TOP;
+    }
+    pages[pages.length - 1].push(item);
+    y -= height;
+  }
+  return pages;
+}
+
+function drawDivider(canvas, group, rows, pageIndex, pageNumber) {
+  if (group.key.length > 1 && group.sefer !== group.title) {
+    canvas.centered(650, group.sefer, { size: 14, gray: 0.4 });
+  }
+  canvas.centered(
+    610,
+    pageIndex === 0 ? group.title : `${group.title} (continued)`,
+    { size: 30, bold: true }
+  );
+  canvas.line(MARGIN, 585, PAGE_WIDTH - MARGIN, 585);
+
+  let y = DIVIDER_TOP;
+  for (const item of rows) {
+    canvas.text(MARGIN, y - 14, item.label, { size: 14, bold: true });
+    const detail = item.doc
+      ? `Sheet on page ${item.pageNumber}`
+      : item.videos.length > 0
+      ? "Video only"
+      : "No sheet";
+    canvas.text(MARGIN, y - 32, detail, { size: 11, gray: 0.4 });
+    if (item.doc) {
+      canvas.linkToPage([MARGIN, y - 36, MARGIN + 240, y], item.pageRef);
+    }
+
+    // QR codes right-aligned, first video leftmost
+    item.videos.forEach((id, index) => {
+      const x =
+        PAGE_WIDTH -
+        MARGIN -
+        (item.videos.length - index) * QR_SIZE -
+        (item.videos.length - index - 1) * QR_GAP;
+      const url = `https://youtu.be/${id}`;
+      canvas.qr(x, y, QR_SIZE, encodeQr(url));
+      const caption =
+        item.videos.length > 1 ? `Video part ${index + 1}` : "Watch the video";
+      const captionWidth = textWidth(caption, 9);
+      canvas.text(x + (QR_SIZE - captionWidth) / 2, y - QR_SIZE - 10, caption, {
+        size: 9,
+        gray: 0.3,
+      });
+      canvas.linkToUrl([x, y - QR_SIZE, x + QR_SIZE, y], url);
+    });
+
+    y -= rowHeight(item);
+  }
+
+  footer(canvas, group.title, pageNumber);
+}
+
+// ----- Document -----
+
+// Bookmarks: one per parsha, with one per entry below it (closed)
+function buildOutline(writer, groups) {
+  const root = writer.ref();
+  const groupRefs = groups.map(() => writer.ref());
+
+  groups.forEach((group, i) => {
+    const entryRefs = group.entries.map(() => writer.ref());
+    group.entries.forEach((item, j) => {
+      writer.set(entryRefs[j], {
+        Title: item.label,
+        Parent: groupRefs[i],
+        Prev: entryRefs[j - 1],
+        Next: entryRefs[j + 1],
+        Dest: [item.pageRef, name("Fit")],
+      });
+    });
+    writer.set(groupRefs[i], {
+      Title: group.heading,
+      Parent: root,
+      Prev: groupRefs[i - 1],
+      Next: groupRefs[i + 1],
+      First: entryRefs[0],
+      Last: entryRefs[entryRefs.length - 1],
+      Count: -entryRefs.length,
+      Dest: [group.pageRef, name("Fit")],
+    });
+  });
+
+  return writer.set(root, {
+    Type: name("Outlines"),
+    First: groupRefs[0],
+    Last: groupRefs[groupRefs.length - 1],
+    Count: groups.length,
+  });
+}
+
+function pdfDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(
+    date.getUTCSeconds()
+  )}Z`;
+}
+
+function booklet({ sefer = null, year = null }) {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    throw new BookletError(
+      `${MANIFEST_FILE} not found - run node build-manifest.js first`
+    );
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+  const items = selectEntries(manifest, {
+    sefer: sefer ? [sefer] : [],
+    year: year ? [year] : [],
+    media: ["pdf", "youtube"],
+  });
+  if (items.length === 0) {
+    throw new BookletError("No sheets or videos match those filters");
+  }
+
+  for (const item of items) {
+    item.doc = null;
+    if (item.files.length === 0) continue;
+    const source = item.files[0].source;
+    try {
+      const doc = new PdfDocument(fs.readFileSync(source));
+      if (doc.getPages().length > 0) item.doc = doc;
+    } catch (error) {
+      // Reported below
+    }
+    if (!item.doc) console.warn(`⚠️ Skipping ${source}: not a readable PDF`);
+  }
+
+  const groups = groupEntries(items);
+  // A year's booklet spans sefarim, so name the sefer too
+  for (const group of groups) {
+    group.heading =
+      !sefer && group.key.length > 1
+        ? `${group.sefer} – ${group.title}`
+        : group.title;
+  }
+  const seferName = cleanName(items[0].pathParts[0]);
+  const subtitle =
+    sefer && year ? `${seferName} ${year}` : sefer ? seferName : year;
+
+  const writer = new PdfWriter();
+  const pagesRef = writer.ref();
+  const fonts = {
+    [FONT]: writer.add(standardFont("Helvetica")),
+    [BOLD]: writer.add(standardFont("Helvetica-Bold")),
+  };
+  const kids = [];
+  const drawn = []; // [{ ref, draw(canvas) }], drawn once every page is known
+
+  function generatedPage(draw) {
+    const ref = writer.ref();
+    kids.push(ref);
+    drawn.push({ ref, draw, pageNumber: kids.length });
+    return ref;
+  }
+
+  // Page order: cover, contents, then each parsha's divider and sheets
+  generatedPage((canvas) => drawCover(canvas, subtitle, groups));
+
+  const lines = tocLines(groups);
+  for (let i = 0; i * TOC_LINES_PER_PAGE < lines.length; i++) {
+    const pageLines = lines.slice(
+      i * TOC_LINES_PER_PAGE,
+      (i + 1) * TOC_LINES_PER_PAGE
+    );
+    generatedPage((canvas, pageNumber) =>
+      drawToc(canvas, pageLines, i, pageNumber)
+    );
+  }
+
+  for (const group of groups) {
+    paginateDivider(group).forEach((rows, i) => {
+      const ref = generatedPage((canvas, pageNumber) =>
+        drawDivider(canvas, group, rows, i, pageNumber)
+      );
+      if (i === 0) {
+        group.pageRef = ref;
+        group.pageNumber = kids.length;
+      }
+      // Video-only entries point at their divider
+      for (const item of rows) {
+        item.pageRef = ref;
+        item.pageNumber = kids.length;
+      }
+    });
+
+    for (const item of group.entries) {
+      if (!item.doc) continue;
+      const label = itemTitle(item.pathParts);
+      const firstPage = kids.length + 1;
+      const refs = writer.importPages(item.doc, pagesRef, {
+        fonts,
+        overlay: (index, [x0, y0, x1]) => {
+          const text = `${label} · ${firstPage + index}`;
+          const x = (x0 + x1 - textWidth(text, 8)) / 2;
+          return `BT 0.4 g /${FONT} 8 Tf ${x.toFixed(2)} ${
+            y0 + FOOTER_Y
+          } Td ${encodeWinAnsi(text)} Tj ET\n`;
+        },
+      });
+      item.pageRef = refs[0];
+      item.pageNumber = firstPage;
+      kids.push(...refs);
+      console.log(`📄 ${firstPage}: ${item.pathParts.join("/")}`);
+    }
+  }
+
+  for (const { ref, draw, pageNumber } of drawn) {
+    const canvas = createCanvas();
+    draw(canvas, pageNumber);
+    writer.set(ref, {
+      Type: name("Page"),
+      Parent: pagesRef,
+      MediaBox: [0, 0, PAGE_WIDTH, PAGE_HEIGHT],
+      Resources: { Font: fonts },
+      Contents: writer.addStream(canvas.ops.join("\n")),
+      Annots: canvas.links.length > 0 ? canvas.links : undefined,
+    });
+  }
+
+  writer.set(pagesRef, {
+    Type: name("Pages"),
+    Kids: kids,
+    Count: kids.length,
+  });
+  const root = writer.add({
+    Type: name("Catalog"),
+    Pages: pagesRef,
+    Outlines: buildOutline(writer, groups),
+    PageMode: name("UseOutlines"),
+  });
+  const info = writer.add({
+    Title: `${SITE_TITLE} – ${subtitle}`,
+    Author: "Zeidy D",
+    Creator: "build-booklet.js",
+    CreationDate: pdfDate(new Date()),
+  });
+
+  return {
+    data: writer.toBuffer({ Root: root, Info: info }),
+    subtitle,
+    pageCount: kids.length,
+    groups,
+  };
+}
+
+function buildBooklet(options) {
+  const target =
+    options.out ||
+    path.join(
+      BOOKLETS_DIR,
+      `${pageSlug([options.sefer, options.year].filter(Boolean).join(" "))}.pdf`
+    );
+
+  console.log("📚 Building booklet...");
+  const result = booklet(options);
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, result.data);
+
+  console.log("\n✅ Booklet built successfully!");
+  console.log(`📖 ${SITE_TITLE} – ${result.subtitle}`);
+  console.log(
+    `📊 Parshiyos: ${result.groups.length}, pages: ${result.pageCount}`
+  );
+  console.log(`📄 Booklet saved to: ${target}`);
+
+  return result;
+}
+
+function parseArgs(argv) {
+  const options = { sefer: null, year: null, out: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    // --name value or --name=value
+    const match = /^--(sefer|year|out)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new BookletError(`Unknown option: ${arg}`, { code: "usage" });
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined || value === "" || value.startsWith("--")) {
+      throw new BookletError(`--${match[1]} needs a value`, { code: "usage" });
+    }
+    options[match[1]] = value;
+  }
+
+  if (!options.help && !options.sefer && !options.year) {
+    throw new BookletError("Pass --sefer, --year or both", { code: "usage" });
+  }
+  return options;
+}
+
+// Allow running as a script or importing as a module
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+  } else {
+    try {
+      buildBooklet(options);
+    } catch (error) {
+      console.error("❌ Error building booklet:", error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = { BookletError, buildBooklet };
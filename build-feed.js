@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+// Builds podcast.xml, an iTunes-compatible RSS feed with one item for every
+// MP3 listed in manifest.json. Run node build-manifest.js first.
+
+const fs = require("fs");
+const path = require("path");
+const { forEachLeaf, leafBase } = require("./build-manifest");
+const {
+  PARSHIYOS,
+  TISHREI,
+  YOM_TOV_DATES,
+  buildParshaSchedule,
+  fixedFromHebrew,
+  hebrewFromFixed,
+  isHebrewLeapYear,
+} = require("./hebrew-calendar");
+const { getMp3InfoFromFile } = require("./mp3-info");
+
+const FILES_DIR = "./Files";
+const MANIFEST_FILE = "./manifest.json";
+const FEED_FILE = "./podcast.xml";
+// Fixed day number (see hebrew-calendar.js) of 1 January 1970
+const UNIX_EPOCH_DAY = 719163;
+const SITE_URL = `https://${fs.readFileSync("./CNAME", "utf8").trim()}/`;
+
+const CHANNEL = {
+  title: "Zeidy D's Parsha Shiurim",
+  author: "Zeidy D",
+  description:
+    "Short shiurim on the weekly parsha and Yom Tov, recorded alongside Zeidy D's parsha sheets.",
+  language: "en",
+  image: `${SITE_URL}Thumbnail.jpg`,
+  category: "Religion & Spirituality",
+  subcategory: "Judaism",
+};
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Same display cleanup the site does: drop "01 - " prefixes
+function cleanName(part) {
+  return part.replace(/^\d+\s*-\s*/, "").trim();
+}
+
+function fileUrl(pathParts, filename) {
+  return (
+    SITE_URL +
+    ["Files", ...pathParts, filename].map(encodeURIComponent).join("/")
+  );
+}
+
+function navUrl(pathParts) {
+  const navPath = "/" + pathParts.map(cleanName).join("/");
+  return `${SITE_URL}?nav=${encodeURIComponent(navPath)}`;
+}
+
+// "Yisro 5783", or "Shmini Atzeres 5786 – Shmini Atzeres (1)" for entries
+// nested below the year. Misc entries are just their own name.
+function itemTitle(pathParts) {
+  const [, ...rest] = pathParts.map(cleanName);
+  if (rest.length <= 2) return rest.join(" ");
+  return `${rest[0]} ${rest[1]} – ${rest.slice(2).join(" – ")}`;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+function readMeta(pathParts) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(FILES_DIR, ...pathParts, "meta.json"), "utf8")
+    );
+  } catch (error) {
+    return {};
+  }
+}
+
+// The day an entry belongs to, going by its folders: the Shabbos its
+// parsha was read that year (outside Israel), or its Yom Tov. Combined
+// parshiyos go by the first one. Null for folders that don't say (Misc).
+function entryDay(pathParts) {
+  if (!/^\d{4}$/.test(pathParts[2] || "")) return null;
+  const year = Number(pathParts[2]);
+  const name = cleanName(pathParts[1]);
+
+  const yomTov = YOM_TOV_DATES[name];
+  if (yomTov) {
+    const leap = isHebrewLeapYear(year);
+    if (yomTov.leapYearOnly && !leap) return null;
+    const month = yomTov.lastAdar && leap ? 13 : yomTov.month;
+    return fixedFromHebrew(year, month, yomTov.day);
+  }
+  // Read on Simchas Torah rather than on a Shabbos
+  if (name === "V'zos Habracha") return fixedFromHebrew(year, TISHREI, 23);
+
+  const parshiyos = name.split("-").map((part) => part.trim());
+  if (!PARSHIYOS.includes(parshiyos[0])) return null;
+  // A cycle starts after Simchas Torah, so the previous year's reaches
+  // into this one (Ha'azinu, and Vayailech when it's read alone). A year
+  // can then read a parsha twice, alone and joined, so prefer the Shabbos
+  // it was read as the folder has it.
+  let found = null;
+  for (const cycleYear of [year, year - 1]) {
+    for (const [day, names] of buildParshaSchedule(cycleYear, false)) {
+      if (!names.includes(parshiyos[0]) || hebrewFromFixed(day).year !== year) {
+        continue;
+      }
+      if (names.join("-") === parshiyos.join("-")) return day;
+      if (found === null) found = day;
+    }
+  }
+  return found;
+}
+
+// Publication date: meta.json "date" when given, else the entry's day
+// (see entryDay), so the feed is the same however the files were checked
+// out. Parts of a shiur are a minute apart to keep them in order. Null
+// when neither is known.
+function publishDate(meta, pathParts) {
+  let date;
+  if (typeof meta.date === "string" && !isNaN(Date.parse(meta.date))) {
+    date = new Date(`${meta.date}T12:00:00Z`);
+  } else {
+    const day = entryDay(pathParts);
+    if (day === null) return null;
+    date = new Date(((day - UNIX_EPOCH_DAY) * 24 + 12) * 3600000);
+  }
+
+  const part = /\((\d+)\)$/.exec(pathParts[pathParts.length - 1].trim());
+  if (pathParts.length > 3 && part) {
+    date = new Date(date.getTime() + (Number(part[1]) - 1) * 60000);
+  }
+  return date;
+}
+
+function collectEpisodes(manifest) {
+  const episodes = [];
+
+  forEachLeaf(manifest, (pathParts, value) => {
+    const baseFilename = leafBase(value);
+    if (!baseFilename) return;
+
+    const mp3Filename = `${baseFilename}.mp3`;
+    const mp3Path = path.join(FILES_DIR, ...pathParts, mp3Filename);
+    if (!fs.existsSync(mp3Path)) return;
+
+    const info = getMp3InfoFromFile(mp3Path);
+    if (!info) {
+      console.warn(`⚠️ Skipping ${mp3Path}: not a readable MP3`);
+      return;
+    }
+
+    const meta = readMeta(pathParts);
+    const date = publishDate(meta, pathParts);
+    if (!date) {
+      console.warn(
+        `⚠️ Skipping ${mp3Path}: no date - add "date" to its meta.json`
+      );
+      return;
+    }
+
+    const title = meta.title || itemTitle(pathParts);
+    const pdfPath = path.join(FILES_DIR, ...pathParts, `${baseFilename}.pdf`);
+    const sefer = cleanName(pathParts[0]);
+
+    let description =
+      meta.description || `Shiur on ${title}, from Zeidy D's parsha sheets.`;
+    if (fs.existsSync(pdfPath)) {
+      description += `\n\nSheet: ${fileUrl(pathParts, `${baseFilename}.pdf`)}`;
+    }
+
+    episodes.push({
+      title,
+      description,
+      sefer,
+      link: navUrl(pathParts),
+      guid: pathParts.join("/"),
+      url: fileUrl(pathParts, mp3Filename),
+      size: fs.statSync(mp3Path).size,
+      duration: info.duration,
+      date,
+    });
+
+    console.log(`🎵 ${title} (${formatDuration(info.duration)})`);
+  });
+
+  // Newest first, as podcast apps expect
+  return episodes.sort(
+    (a, b) => b.date - a.date || a.guid.localeCompare(b.guid)
+  );
+}
+
+function renderFeed(episodes) {
+  const items = episodes.map(
+    (episode) => `    <item>
+      <title>${escapeXml(episode.title)}</title>
+      <link>${escapeXml(episode.link)}</link>
+      <guid isPermaLink="false">${escapeXml(episode.guid)}</guid>
+      <pubDate>${episode.date.toUTCString()}</pubDate>
+      <description>${escapeXml(episode.description)}</description>
+      <enclosure url="${escapeXml(episode.url)}" length="${
+      episode.size
+    }" type="audio/mpeg" />
+      <category>${escapeXml(episode.sefer)}</category>
+      <itunes:title>${escapeXml(episode.title)}</itunes:title>
+      <itunes:summary>${escapeXml(episode.description)}</itunes:summary>
+      <itunes:duration>${formatDuration(episode.duration)}</itunes:duration>
+      <itunes:episodeType>full</itunes:episodeType>
+      <itunes:explicit>false</itunes:explicit>
+    </item>`
+  );
+
+  const lastBuild = episodes.length > 0 ? episodes[0].date : new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+  xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(CHANNEL.title)}</title>
+    <link>${escapeXml(SITE_URL)}</link>
+    <atom:link href="${escapeXml(
+      SITE_URL + path.basename(FEED_FILE)
+    )}" rel="self" type="application/rss+xml" />
+    <description>${escapeXml(CHANNEL.description)}</description>
+    <language>${CHANNEL.language}</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <image>
+      <url>${escapeXml(CHANNEL.image)}</url>
+      <title>${escapeXml(CHANNEL.title)}</title>
+      <link>${escapeXml(SITE_URL)}</link>
+    </image>
+    <itunes:author>${escapeXml(CHANNEL.author)}</itunes:author>
+    <itunes:summary>${escapeXml(CHANNEL.description)}</itunes:summary>
+    <itunes:image href="${escapeXml(CHANNEL.image)}" />
+    <itunes:category text="${escapeXml(CHANNEL.category)}">
+      <itunes:category text="${escapeXml(CHANNEL.subcategory)}" />
+    </itunes:category>
+    <itunes:explicit>false</itunes:explicit>
+    <itunes:type>episodic</itunes:type>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function buildFeed() {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    throw new Error(
+      `${MANIFEST_FILE} not found - run node build-manifest.js first`
+    );
+  }
+
+  console.log("🎙️ Building podcast feed...");
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+  const episodes = collectEpisodes(manifest);
+
+  fs.writeFileSync(FEED_FILE, renderFeed(episodes));
+
+  console.log("\n✅ Podcast feed built successfully!");
+  console.log(`📊 Episodes: ${episodes.length}`);
+  console.log(`📄 Feed saved to: ${FEED_FILE}`);
+
+  return episodes;
+}
+
+// Allow running as a script or importing as a module
+if (require.main === module) {
+  try {
+    buildFeed();
+  } catch (error) {
+    console.error("❌ Error building feed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SITE_URL,
+  buildFeed,
+  cleanName,
+  escapeXml,
+  fileUrl,
+  entryDay,
+  formatDuration,
+  itemTitle,
+  navUrl,
+  publishDate,
+};
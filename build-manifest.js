@@ -1,11 +1,53 @@
 #!/usr/bin/env node
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const { getMp3InfoFromFile } = require("./mp3-info");
+const { PdfDocument, extractText } = require("./pdf-reader");
+const { parseTranscript } = require("./transcript");
 
 const FILES_DIR = "./Files";
 const MANIFEST_FILE = "./manifest.json";
+const SEARCH_INDEX_FILE = "./search-index.json";
+const META_SCHEMA_FILE = "./meta.schema.json";
+const CACHE_FILE = "./.manifest-cache.json";
+
+// Bump when the cached leaf data changes shape, or pdf-reader.js starts
+// extracting text differently, so old caches are ignored
+const CACHE_VERSION = 5;
+// Transcript formats, in order of preference when both are there
+const TRANSCRIPT_FORMATS = ["vtt", "srt"];
+// How long --watch waits for changes to settle before rebuilding
+const WATCH_DELAY = 500;
+
+const metaSchema = JSON.parse(fs.readFileSync(META_SCHEMA_FILE, "utf8"));
+
+const USAGE = `Usage: node build-manifest.js [options]
+
+Options:
+  --yes        Rename mismatched MP3 files without asking
+  --no-rename  Never rename MP3 files, just report them
+  --check      Write nothing; exit 1 if manifest.json or search-index.json
+               is out of date or any entry has problems
+  --json       Print a machine-readable JSON report to stdout
+  --watch      Keep running and rebuild whenever something in Files/ changes
+  --no-cache   Rescan every entry instead of reusing unchanged ones from
+               the last run
+  --help       Show this message`;
+
+// Problems that stop an entry (or the whole build) from being processed.
+// Thrown instead of exiting so callers decide how to fail.
+class ManifestError extends Error {
+  constructor(message, { path: entryPath, details = [], code } = {}) {
+    super(message);
+    this.name = "ManifestError";
+    this.path = entryPath;
+    this.details = details;
+    this.code = code;
+  }
+}
 
 // Helper function to prompt user for confirmation
 function promptUser(question) {
@@ -22,16 +64,448 @@ function promptUser(question) {
   });
 }
 
-async function buildManifest() {
-  console.log("🔍 Scanning Files directory...");
+// Validate a value against the subset of JSON Schema that meta.schema.json
+// uses. Returns a list of human readable problems.
+function validateSchema(schema, value, where = "", root = schema) {
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node[key], root);
+    return validateSchema(target, value, where, root);
+  }
+
+  const label = where || "meta.json";
+
+  if (schema.anyOf) {
+    const failures = schema.anyOf.map((option) =>
+      validateSchema(option, value, where, root)
+    );
+    if (failures.some((problems) => problems.length === 0)) return [];
+    // Report the closest option
+    return failures.sort((a, b) => a.length - b.length)[0];
+  }
+
+  const actualType = Array.isArray(value)
+    ? "array"
+    : value === null
+    ? "null"
+    : typeof value;
+  if (schema.type && schema.type !== actualType) {
+    return [`${label} should be ${schema.type}, got ${actualType}`];
+  }
+
+  const problems = [];
+
+  if (actualType === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${label} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${label} is longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(`${label} has an invalid format ("${value}")`);
+    }
+    if (
+      schema.format === "date" &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))
+    ) {
+      problems.push(`${label} should be a date like 2024-10-27`);
+    }
+  }
+
+  if (actualType === "array") {
+    if (schema.uniqueItems && new Set(value).size !== value.length) {
+      problems.push(`${label} has duplicate items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        problems.push(
+          ...validateSchema(schema.items, item, `${label}[${i}]`, root)
+        );
+      });
+    }
+  }
+
+  if (actualType === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${label} is missing "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const childWhere = where ? `${where}.${key}` : key;
+      if (properties[key]) {
+        problems.push(
+          ...validateSchema(properties[key], item, childWhere, root)
+        );
+      } else if (schema.additionalProperties === false) {
+        problems.push(`unknown field "${childWhere}"`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Read and validate a leaf's meta.json against meta.schema.json
+function checkMeta(metaJsonPath) {
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(metaJsonPath, "utf8"));
+  } catch (error) {
+    return { meta: null, problems: [`invalid JSON: ${error.message}`] };
+  }
+  return { meta, problems: validateSchema(metaSchema, meta) };
+}
+
+// Resolve a ?nav= style path ("/Shemos/Yisro/5783") to manifest keys,
+// ignoring number prefixes, case and spacing like the site does
+function findManifestPath(manifest, navPath) {
+  const simplify = (s) =>
+    s
+      .replace(/^\d+\s*-\s*/, "")
+      .toLowerCase()
+      .replace(/[-\s]/g, "");
+
+  const keys = [];
+  let current = manifest;
+  for (const part of navPath.replace(/^\//, "").split("/")) {
+    if (!current || typeof current !== "object" || isLeaf(current)) {
+      return null;
+    }
+    const key = Object.keys(current).find(
+      (candidate) => simplify(candidate) === simplify(part.trim())
+    );
+    if (key === undefined) return null;
+    keys.push(key);
+    current = current[key];
+  }
+  return keys;
+}
+
+// Manifest leaves are entry records (see buildEntryRecord). Manifests
+// written before records were introduced used the base filename string,
+// or null, so both forms are accepted when reading.
+function isLeaf(value) {
+  return (
+    value === null ||
+    typeof value === "string" ||
+    (typeof value === "object" && value.type === "entry")
+  );
+}
+
+// Base filename (no extension) of a leaf in either format, or null
+function leafBase(value) {
+  if (value && typeof value === "object") return value.base;
+  return value;
+}
+
+// Short hash of an entry's files, so the site can tell when a sheet,
+// recording or transcript has been replaced
+function hashEntry(entryPath, baseFilename) {
+  const hash = crypto.createHash("sha256");
+  const files = ["meta.json"];
+  if (baseFilename) {
+    files.push(`${baseFilename}.pdf`, `${baseFilename}.mp3`);
+    files.push(
+      ...TRANSCRIPT_FORMATS.map((format) => `${baseFilename}.${format}`)
+    );
+  }
+
+  for (const file of files) {
+    const filePath = path.join(entryPath, file);
+    if (!fs.existsSync(filePath)) continue;
+    hash.update(file);
+    hash.update(fs.readFileSync(filePath));
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+// What the site shows about a file before downloading it: a recording's
+// length (whole seconds) and bitrate (bits/s), a sheet's page count. Null
+// values when the file can't be parsed.
+const FILE_DETAILS = {
+  mp3(filePath) {
+    const info = getMp3InfoFromFile(filePath);
+    if (!info) throw new Error("no MP3 frames found");
+    return { duration: Math.round(info.duration), bitrate: info.bitrate };
+  },
+  pdf(filePath) {
+    const pages = new PdfDocument(fs.readFileSync(filePath)).getPages();
+    return { pages: pages.length };
+  },
+};
+const EMPTY_FILE_DETAILS = {
+  mp3: { duration: null, bitrate: null },
+  pdf: { pages: null },
+};
+
+// The manifest record for one leaf directory: which media exist (with
+// sizes, and the details above), YouTube IDs and the display fields from
+// meta.json. The site renders an entry from this alone. A transcript is
+// <base>.vtt or <base>.srt, recorded with its format. combines is added
+// once the whole tree is known (see linkCombinedParshiyos).
+function buildEntryRecord(entryPath, baseFilename, meta) {
+  const fileInfo = (extension) => {
+    if (!baseFilename) return null;
+    const filePath = path.join(entryPath, `${baseFilename}.${extension}`);
+    if (!fs.existsSync(filePath)) return null;
+    const info = { size: fs.statSync(filePath).size };
+    if (!FILE_DETAILS[extension]) return info;
+
+    try {
+      return { ...info, ...FILE_DETAILS[extension](filePath) };
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${filePath}: ${error.message}`);
+      return { ...info, ...EMPTY_FILE_DETAILS[extension] };
+    }
+  };
+  const transcriptFormat = TRANSCRIPT_FORMATS.find((format) =>
+    fileInfo(format)
+  );
+
+  const { youtube, $schema, ...details } =
+    meta && typeof meta === "object" && !Array.isArray(meta) ? meta : {};
+  const youtubeIds = (Array.isArray(youtube) ? youtube : [youtube]).filter(
+    (id) => typeof id === "string" && id.trim() !== ""
+  );
+
+  return {
+    type: "entry",
+    base: baseFilename,
+    pdf: fileInfo("pdf"),
+    mp3: fileInfo("mp3"),
+    transcript: transcriptFormat
+      ? { format: transcriptFormat, ...fileInfo(transcriptFormat) }
+      : null,
+    youtube: youtubeIds,
+    meta: details,
+    hash: hashEntry(entryPath, baseFilename),
+  };
+}
+
+// Combined parshiyos ("12 - Vayakel-Pekudei") and the folders of the
+// parshiyos they join, in the same sefer:
+//   { "02 - Shemos/12 - Vayakel-Pekudei":
+//       ["02 - Shemos/10 - Vayakel", "02 - Shemos/11 - Pekudei"] }
+// Parshiyos without a folder of their own (Matos-Maasei) are left out.
+function findCombinedParshiyos(manifest) {
+  const numbered = /^\d+\s*-\s*/;
+  const simplify = (s) =>
+    s
+      .replace(numbered, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+
+  const combined = {};
+  for (const [sefer, folders] of Object.entries(manifest)) {
+    if (isLeaf(folders) || !folders) continue;
+    const keys = Object.keys(folders).filter((key) => numbered.test(key));
+
+    for (const key of keys) {
+      const names = key.replace(numbered, "").split("-");
+      if (names.length < 2) continue;
+      const components = names
+        .map((name) =>
+          keys.find(
+            (other) => other !== key && simplify(other) === simplify(name)
+          )
+        )
+        .filter(Boolean);
+      if (components.length > 0) {
+        combined[`${sefer}/${key}`] = components.map(
+          (component) => `${sefer}/${component}`
+        );
+      }
+    }
+  }
+  return combined;
+}
+
+// Sets combines on every entry record: the component parsha folders for
+// entries of a combined parsha, so the site can list them under each
+// component and link back, and [] for everything else. Records may come
+// from the cache, so the key is always replaced (and always last, so the
+// output doesn't depend on what was cached).
+function linkCombinedParshiyos(manifest) {
+  const combined = findCombinedParshiyos(manifest);
+  forEachLeaf(manifest, (pathParts, record) => {
+    if (!record || typeof record !== "object") return;
+    delete record.combines;
+    record.combines = combined[pathParts.slice(0, 2).join("/")] || [];
+  });
+  return combined;
+}
+
+// Calls fn(pathParts, value) for every leaf in the manifest tree
+function forEachLeaf(node, fn, pathParts = []) {
+  for (const [key, value] of Object.entries(node)) {
+    const currentPath = [...pathParts, key];
+    if (isLeaf(value)) {
+      fn(currentPath, value);
+    } else if (value && typeof value === "object") {
+      forEachLeaf(value, fn, currentPath);
+    }
+  }
+}
+
+// Extract the text of every leaf's PDF, and the cues of its transcript, so
+// the site can search them statically. Entries are { path, text } plus
+// transcript: [[start seconds, text]] when there is one.
+// textCache (optional) maps entry hashes to PDF text extracted on earlier
+// runs; those PDFs aren't read again, and new extractions are added to it.
+function buildSearchIndex(manifest, log = console.log, textCache = null) {
+  log("\n🔎 Extracting PDF text for search index...");
+
+  const entries = [];
+  let pdfs = 0;
+  let transcripts = 0;
+  let failed = 0;
+
+  forEachLeaf(manifest, (pathParts, value) => {
+    const baseFilename = leafBase(value);
+    if (!baseFilename) return;
+
+    const entryPath = path.join(FILES_DIR, ...pathParts);
+    const hash = value && typeof value === "object" ? value.hash : null;
+    let text = null;
+
+    const pdfPath = path.join(entryPath, `${baseFilename}.pdf`);
+    if (textCache && hash && hash in textCache) {
+      text = textCache[hash];
+    } else if (fs.existsSync(pdfPath)) {
+      try {
+        text = extractText(fs.readFileSync(pdfPath));
+        if (textCache && hash) textCache[hash] = text;
+      } catch (error) {
+        failed++;
+        console.warn(
+          `⚠️ Could not extract text from ${pdfPath}: ${error.message}`
+        );
+      }
+    }
+
+    let transcript = null;
+    const format = value && value.transcript && value.transcript.format;
+    if (format) {
+      const transcriptPath = path.join(entryPath, `${baseFilename}.${format}`);
+      // Whole seconds are enough to start playback at a line
+      transcript = parseTranscript(fs.readFileSync(transcriptPath, "utf8")).map(
+        (cue) => [Math.floor(cue.start), cue.text]
+      );
+      transcripts++;
+    }
+
+    if (text !== null) pdfs++;
+    if (text === null && !transcript) return;
+    const entry = { path: pathParts.join("/"), text: text || "" };
+    if (transcript) entry.transcript = transcript;
+    entries.push(entry);
+  });
+
+  log(`📊 Indexed PDFs: ${pdfs}`);
+  if (transcripts > 0) {
+    log(`📊 Indexed transcripts: ${transcripts}`);
+  }
+  if (failed > 0) {
+    log(`⚠️ PDFs without text: ${failed}`);
+  }
+
+  return entries;
+}
+
+function readFileIfExists(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+// Write through a temporary file and rename it into place, so the site
+// (or a local server) never sees a half-written file
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+// Fingerprint of a leaf directory. Its mtime changes when files are added,
+// removed or renamed; editing a file in place only changes that file's
+// size and mtime, so those are included too.
+function leafSignature(entryPath) {
+  const parts = [String(fs.statSync(entryPath).mtimeMs)];
+  for (const file of fs.readdirSync(entryPath).sort()) {
+    const stats = fs.statSync(path.join(entryPath, file));
+    parts.push(`${file}:${stats.size}:${stats.mtimeMs}`);
+  }
+  return parts.join("|");
+}
+
+// What the last run learned about each leaf directory, so unchanged ones
+// don't have to be read, hashed and validated again:
+//   entries: relative path -> { signature, record, warnings, metaProblems,
+//            related }
+//   text:    entry hash -> PDF text for the search index
+// Validation results depend on the schema, so a schema change starts over.
+function loadCache() {
+  const schema = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(metaSchema))
+    .digest("hex")
+    .slice(0, 12);
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+    if (cache.version === CACHE_VERSION && cache.schema === schema) {
+      return cache;
+    }
+  } catch (error) {
+    // Missing or unreadable - start from scratch
+  }
+  return { version: CACHE_VERSION, schema, entries: {}, text: {} };
+}
+
+// Options:
+//   rename: "ask" (default), "yes" or "no" - what to do with MP3 files whose
+//           name doesn't match the PDF
+//   check:  don't write anything, just report whether the output is current
+//   cache:  false to rescan every entry instead of reusing unchanged ones
+//           from .manifest-cache.json (default true)
+//   log:    function used for progress output
+// Returns { manifest, report }. Throws ManifestError when the build can't
+// complete (in check mode errors are reported instead).
+async function buildManifest(options = {}) {
+  const { check = false, cache: useCache = true, log = console.log } = options;
+  let rename = check ? "no" : options.rename || "ask";
+
+  if (rename === "ask" && !process.stdin.isTTY) {
+    log("ℹ️ No terminal attached - MP3 files will not be renamed.");
+    rename = "no";
+  }
+
+  log("🔍 Scanning Files directory...");
 
   if (!fs.existsSync(FILES_DIR)) {
-    console.error("❌ Files directory not found!");
-    process.exit(1);
+    throw new ManifestError("Files directory not found!");
   }
 
   const manifest = {};
   let totalEntries = 0;
+  const problems = [];
+  const metaProblems = [];
+  const relatedLinks = [];
+
+  const cache = useCache
+    ? loadCache()
+    : { ...loadCache(), entries: {}, text: {} };
+  // Only leaves seen on this run are kept, so removed entries drop out
+  const nextEntries = {};
+  // Leaves with an MP3 still to rename are rescanned next time, in case
+  // that run is allowed to rename it
+  const renamePending = new Set();
+  let reusedEntries = 0;
 
   async function scanDirectory(dirPath, relativePath = "", depth = 0) {
     const entries = fs
@@ -55,157 +529,41 @@ async function buildManifest() {
 
       if (hasContent) {
         // This is a leaf node with actual content
-        const metaJsonPath = path.join(entryPath, "meta.json");
-        const allFiles = fs.readdirSync(entryPath);
-        const pdfFiles = allFiles.filter((file) =>
-          file.toLowerCase().endsWith(".pdf")
-        );
-        const mp3Files = allFiles.filter((file) =>
-          file.toLowerCase().endsWith(".mp3")
-        );
-
-        let status = "✅";
         const warnings = [];
-
-        if (!fs.existsSync(metaJsonPath)) {
-          warnings.push("missing meta.json");
-          status = "⚠️";
-        }
-
-        if (pdfFiles.length === 0) {
-          // No PDF - check if there's an MP3 file to use for base name
-          if (mp3Files.length === 1) {
-            // Use MP3 file as base name (without extension)
-            const baseFilename = mp3Files[0].replace(".mp3", "");
-            result[entry] = baseFilename;
-            console.log(
-              `${indent}${icon} ✅ ${entry} (MP3 only: ${baseFilename})`
-            );
-          } else if (mp3Files.length > 1) {
-            // Multiple MP3s - exit with error
-            console.error(
-              `\n❌ Multiple MP3 files found in ${relativePath}/${entry}:`
-            );
-            mp3Files.forEach((mp3) => console.error(`   - ${mp3}`));
-            console.error(
-              "Please ensure each directory has at most one MP3 file."
-            );
-            process.exit(1);
-          } else {
-            // No PDF or MP3 - check if there's other media content
-            if (fs.existsSync(metaJsonPath)) {
-              try {
-                const metaContent = JSON.parse(
-                  fs.readFileSync(metaJsonPath, "utf8")
-                );
-                const hasYoutube =
-                  metaContent.youtube &&
-                  (Array.isArray(metaContent.youtube)
-                    ? metaContent.youtube.some((id) => id && id.trim() !== "")
-                    : metaContent.youtube.trim() !== "");
-
-                if (hasYoutube) {
-                  // Has YouTube content, no file-based content
-                  result[entry] = null;
-                  console.log(`${indent}${icon} ✅ ${entry} (YouTube only)`);
-                } else {
-                  warnings.push("no content files");
-                  status = "⚠️";
-                  result[entry] = null;
-                }
-              } catch (error) {
-                warnings.push("invalid meta.json");
-                status = "⚠️";
-                result[entry] = null;
-              }
-            } else {
-              warnings.push("no content files");
-              status = "⚠️";
-              result[entry] = null;
-            }
-          }
-        } else if (pdfFiles.length > 1) {
-          // Multiple PDFs - exit with error
-          console.error(
-            `\n❌ Multiple PDF files found in ${relativePath}/${entry}:`
+        try {
+          result[entry] = await scanLeafCached(
+            entryPath,
+            currentRelativePath,
+            warnings,
+            `${indent}${icon}`
           );
-          pdfFiles.forEach((pdf) => console.error(`   - ${pdf}`));
-          console.error(
-            "Please ensure each directory has exactly one PDF file."
-          );
-          process.exit(1);
-        } else if (pdfFiles.length === 1) {
-          const pdfFile = pdfFiles[0];
-
-          // Handle MP3 renaming to match PDF
-          if (mp3Files.length > 1) {
-            // Multiple MP3s - exit with error
-            console.error(
-              `\n❌ Multiple MP3 files found in ${relativePath}/${entry}:`
-            );
-            mp3Files.forEach((mp3) => console.error(`   - ${mp3}`));
-            console.error(
-              "Please ensure each directory has at most one MP3 file."
-            );
-            process.exit(1);
-          } else if (mp3Files.length === 1) {
-            const mp3File = mp3Files[0];
-            const expectedMp3Name = pdfFile.replace(".pdf", ".mp3");
-
-            if (mp3File !== expectedMp3Name) {
-              // Prompt user before renaming
-              console.log(
-                `\n📝 Found MP3 that needs renaming in ${relativePath}/${entry}:`
-              );
-              console.log(`   Current: ${mp3File}`);
-              console.log(`   Expected: ${expectedMp3Name}`);
-
-              const response = await promptUser(
-                "Rename this MP3 file? (y/n/q): "
-              );
-
-              if (response === "q" || response === "quit") {
-                console.log("❌ Build cancelled by user.");
-                process.exit(0);
-              } else if (response === "y" || response === "yes") {
-                // Rename MP3 to match PDF
-                const oldMp3Path = path.join(entryPath, mp3File);
-                const newMp3Path = path.join(entryPath, expectedMp3Name);
-
-                try {
-                  fs.renameSync(oldMp3Path, newMp3Path);
-                  console.log(`   ✅ Renamed successfully!`);
-                } catch (error) {
-                  console.error(`   ❌ Failed to rename: ${error.message}`);
-                  process.exit(1);
-                }
-              } else {
-                console.log(`   ⏭️  Skipped renaming.`);
-                warnings.push("MP3 file not renamed");
-                status = "⚠️";
-              }
-            }
+        } catch (error) {
+          if (!(error instanceof ManifestError) || error.code === "cancelled") {
+            throw error;
           }
-          // No warning if no MP3 files - that's optional
-
-          // Single PDF file - store base name without extension
-          const baseFilename = pdfFile.replace(".pdf", "");
-          result[entry] = baseFilename;
-
-          totalEntries++;
-
-          const warningText =
-            warnings.length > 0 ? ` (${warnings.join(", ")})` : "";
-          console.log(`${indent}${icon} ${status} ${entry}${warningText}`);
+          console.error(`\n❌ ${error.message}`);
+          error.details.forEach((detail) => console.error(`   - ${detail}`));
+          problems.push({
+            path: currentRelativePath,
+            severity: "error",
+            message: error.message,
+            details: error.details,
+          });
         }
 
-        // Only increment totalEntries here if we didn't already do it above
-        if (pdfFiles.length !== 1 && status === "✅") {
+        if (warnings.length === 0 && entry in result) {
           totalEntries++;
         }
+        warnings.forEach((message) =>
+          problems.push({
+            path: currentRelativePath,
+            severity: "warning",
+            message,
+          })
+        );
       } else {
         // This is a branch node, scan deeper
-        console.log(`${indent}${icon} Processing: ${entry}`);
+        log(`${indent}${icon} Processing: ${entry}`);
         result[entry] = await scanDirectory(
           entryPath,
           currentRelativePath,
@@ -217,6 +575,210 @@ async function buildManifest() {
     return result;
   }
 
+  // scanLeaf, or what it found last time if nothing in the directory has
+  // changed since
+  async function scanLeafCached(entryPath, relativePath, warnings, prefix) {
+    const cached = cache.entries[relativePath];
+    if (cached && cached.signature === leafSignature(entryPath)) {
+      reusedEntries++;
+      nextEntries[relativePath] = cached;
+      warnings.push(...cached.warnings);
+      if (cached.metaProblems.length > 0) {
+        metaProblems.push({
+          path: relativePath,
+          problems: [...cached.metaProblems],
+        });
+      }
+      if (cached.related) {
+        relatedLinks.push({ path: relativePath, related: cached.related });
+      }
+      if (warnings.length > 0) {
+        const entry = path.basename(entryPath);
+        log(`${prefix} ⚠️ ${entry} (${warnings.join(", ")})`);
+      }
+      return cached.record;
+    }
+
+    const metaProblemCount = metaProblems.length;
+    const relatedCount = relatedLinks.length;
+    const record = await scanLeaf(entryPath, relativePath, warnings, prefix);
+
+    if (!renamePending.has(relativePath)) {
+      const related = relatedLinks.slice(relatedCount);
+      nextEntries[relativePath] = {
+        // Taken after scanning, since an MP3 may have been renamed
+        signature: leafSignature(entryPath),
+        record,
+        warnings: [...warnings],
+        metaProblems: metaProblems
+          .slice(metaProblemCount)
+          .flatMap((item) => [...item.problems]),
+        related: related.length > 0 ? related[0].related : null,
+      };
+    }
+    return record;
+  }
+
+  // Works out the manifest record for one leaf directory, collecting
+  // non-fatal problems in warnings
+  async function scanLeaf(entryPath, relativePath, warnings, prefix) {
+    const entry = path.basename(entryPath);
+    const metaJsonPath = path.join(entryPath, "meta.json");
+    const allFiles = fs.readdirSync(entryPath);
+    const pdfFiles = allFiles.filter((file) =>
+      file.toLowerCase().endsWith(".pdf")
+    );
+    const mp3Files = allFiles.filter((file) =>
+      file.toLowerCase().endsWith(".mp3")
+    );
+    const statusText = () => (warnings.length > 0 ? "⚠️" : "✅");
+
+    let meta = null;
+    if (!fs.existsSync(metaJsonPath)) {
+      warnings.push("missing meta.json");
+    } else {
+      const checked = checkMeta(metaJsonPath);
+      meta = checked.meta;
+      if (checked.problems.length > 0) {
+        warnings.push("invalid meta.json");
+        metaProblems.push({ path: relativePath, problems: checked.problems });
+      }
+      if (meta && Array.isArray(meta.related)) {
+        relatedLinks.push({ path: relativePath, related: meta.related });
+      }
+    }
+
+    if (mp3Files.length > 1) {
+      throw new ManifestError(
+        `Multiple MP3 files found in ${relativePath} - please ensure each directory has at most one MP3 file.`,
+        { path: relativePath, details: mp3Files }
+      );
+    }
+    if (pdfFiles.length > 1) {
+      throw new ManifestError(
+        `Multiple PDF files found in ${relativePath} - please ensure each directory has exactly one PDF file.`,
+        { path: relativePath, details: pdfFiles }
+      );
+    }
+
+    // Transcripts are only picked up when named after the sheet (or the
+    // recording, without one)
+    const mediaFile = pdfFiles[0] || mp3Files[0];
+    const mediaBase = mediaFile ? mediaFile.slice(0, -".pdf".length) : null;
+    const strayTranscripts = allFiles.filter((file) => {
+      const extension = path.extname(file).slice(1).toLowerCase();
+      return (
+        TRANSCRIPT_FORMATS.includes(extension) &&
+        file !== `${mediaBase}.${extension}`
+      );
+    });
+    if (strayTranscripts.length > 0) {
+      warnings.push(
+        mediaBase
+          ? `transcript not named ${mediaBase}.vtt/.srt`
+          : "transcript without a recording"
+      );
+    }
+
+    if (pdfFiles.length === 0) {
+      if (mp3Files.length === 1) {
+        // No PDF - use MP3 file as base name (without extension)
+        const baseFilename = mp3Files[0].replace(".mp3", "");
+        const warningText =
+          warnings.length > 0 ? `, ${warnings.join(", ")}` : "";
+        log(
+          `${prefix} ${statusText()} ${entry} (MP3 only: ${baseFilename}${warningText})`
+        );
+        return buildEntryRecord(entryPath, baseFilename, meta);
+      }
+
+      // No PDF or MP3 - check if there's other media content
+      const youtube = meta && meta.youtube;
+      const hasYoutube =
+        youtube &&
+        (Array.isArray(youtube)
+          ? youtube.some((id) => id && id.trim() !== "")
+          : youtube.trim() !== "");
+
+      if (hasYoutube) {
+        // Has YouTube content, no file-based content
+        const warningText =
+          warnings.length > 0 ? `, ${warnings.join(", ")}` : "";
+        log(`${prefix} ${statusText()} ${entry} (YouTube only${warningText})`);
+      } else if (meta || !fs.existsSync(metaJsonPath)) {
+        // (An unparseable meta.json was already reported by checkMeta)
+        warnings.push("no content files");
+        log(`${prefix} ${statusText()} ${entry} (${warnings.join(", ")})`);
+      }
+      return buildEntryRecord(entryPath, null, meta);
+    }
+
+    const pdfFile = pdfFiles[0];
+
+    // Handle MP3 renaming to match PDF
+    if (mp3Files.length === 1) {
+      const mp3File = mp3Files[0];
+      const expectedMp3Name = pdfFile.replace(".pdf", ".mp3");
+
+      if (mp3File !== expectedMp3Name) {
+        const renamed = await renameMp3(
+          entryPath,
+          relativePath,
+          mp3File,
+          expectedMp3Name
+        );
+        if (!renamed) {
+          warnings.push("MP3 file not renamed");
+          renamePending.add(relativePath);
+        }
+      }
+    }
+    // No warning if no MP3 files - that's optional
+
+    const warningText = warnings.length > 0 ? ` (${warnings.join(", ")})` : "";
+    log(`${prefix} ${statusText()} ${entry}${warningText}`);
+
+    // Single PDF file - its name (without extension) is the base name
+    return buildEntryRecord(entryPath, pdfFile.replace(".pdf", ""), meta);
+  }
+
+  // Returns true if the MP3 now matches the PDF name
+  async function renameMp3(entryPath, relativePath, mp3File, expectedMp3Name) {
+    log(`\n📝 Found MP3 that needs renaming in ${relativePath}:`);
+    log(`   Current: ${mp3File}`);
+    log(`   Expected: ${expectedMp3Name}`);
+
+    let response = rename === "yes" ? "y" : "n";
+    if (rename === "ask") {
+      // Prompt user before renaming
+      response = await promptUser("Rename this MP3 file? (y/n/q): ");
+    }
+
+    if (response === "q" || response === "quit") {
+      throw new ManifestError("Build cancelled by user.", {
+        code: "cancelled",
+      });
+    } else if (response === "y" || response === "yes") {
+      // Rename MP3 to match PDF
+      const oldMp3Path = path.join(entryPath, mp3File);
+      const newMp3Path = path.join(entryPath, expectedMp3Name);
+
+      try {
+        fs.renameSync(oldMp3Path, newMp3Path);
+        log(`   ✅ Renamed successfully!`);
+        return true;
+      } catch (error) {
+        throw new ManifestError(`Failed to rename MP3 in ${relativePath}`, {
+          path: relativePath,
+          details: [error.message],
+        });
+      }
+    }
+
+    log(`   ⏭️  Skipped renaming.`);
+    return false;
+  }
+
   function checkForContent(dirPath) {
     try {
       const files = fs.readdirSync(dirPath);
@@ -246,28 +808,275 @@ async function buildManifest() {
 
   // Start scanning from the Files directory
   Object.assign(manifest, await scanDirectory(FILES_DIR));
+  if (reusedEntries > 0) {
+    log(`\n♻️ Reused ${reusedEntries} unchanged entries from the last run`);
+  }
+
+  const combined = linkCombinedParshiyos(manifest);
+  if (Object.keys(combined).length > 0) {
+    const name = (key) => key.split("/").pop();
+    log("\n🔗 Combined parshiyos (listed under each parsha too):");
+    for (const [folder, components] of Object.entries(combined)) {
+      log(`   ${name(folder)} → ${components.map(name).join(", ")}`);
+    }
+  }
+
+  // Related entries can only be checked once the whole tree is known
+  for (const { path: entryPath, related } of relatedLinks) {
+    const broken = related.filter(
+      (navPath) =>
+        typeof navPath === "string" && !findManifestPath(manifest, navPath)
+    );
+    if (broken.length > 0) {
+      const existing = metaProblems.find((item) => item.path === entryPath);
+      const brokenProblems = broken.map(
+        (navPath) => `related entry "${navPath}" does not exist`
+      );
+      if (existing) {
+        existing.problems.push(...brokenProblems);
+      } else {
+        metaProblems.push({ path: entryPath, problems: brokenProblems });
+        problems.push({
+          path: entryPath,
+          severity: "warning",
+          message: "invalid meta.json",
+        });
+      }
+    }
+  }
+
+  if (metaProblems.length > 0) {
+    console.warn(`\n⚠️ meta.json problems (see ${META_SCHEMA_FILE}):`);
+    for (const { path: entryPath, problems: details } of metaProblems) {
+      console.warn(`   ${entryPath}/meta.json`);
+      details.forEach((detail) => console.warn(`     - ${detail}`));
+
+      const problem = problems.find(
+        (item) =>
+          item.path === entryPath && item.message === "invalid meta.json"
+      );
+      if (problem) problem.details = details;
+    }
+  }
+
+  const errorCount = problems.filter((p) => p.severity === "error").length;
+  const warningCount = problems.length - errorCount;
+
+  const report = {
+    ok: errorCount === 0,
+    check,
+    totalEntries,
+    errors: errorCount,
+    warnings: warningCount,
+    problems,
+  };
+
+  if (!check && errorCount > 0) {
+    throw new ManifestError(
+      `Found ${errorCount} error(s) - manifest not written.`,
+      { code: "invalid" }
+    );
+  }
 
-  // Write the manifest file
   const manifestJson = JSON.stringify(manifest, null, 2);
-  fs.writeFileSync(MANIFEST_FILE, manifestJson);
+  const searchIndexJson = JSON.stringify(
+    buildSearchIndex(manifest, log, cache.text)
+  );
+
+  if (check) {
+    report.manifestUpToDate = readFileIfExists(MANIFEST_FILE) === manifestJson;
+    report.searchIndexUpToDate =
+      readFileIfExists(SEARCH_INDEX_FILE) === searchIndexJson;
+    report.ok =
+      report.ok &&
+      warningCount === 0 &&
+      report.manifestUpToDate &&
+      report.searchIndexUpToDate;
+
+    log("");
+    log(
+      report.manifestUpToDate
+        ? `✅ ${MANIFEST_FILE} is up to date`
+        : `❌ ${MANIFEST_FILE} is out of date`
+    );
+    log(
+      report.searchIndexUpToDate
+        ? `✅ ${SEARCH_INDEX_FILE} is up to date`
+        : `❌ ${SEARCH_INDEX_FILE} is out of date`
+    );
+    log(`📊 Total entries: ${totalEntries}`);
+    log(`⚠️ Problems: ${errorCount} error(s), ${warningCount} warning(s)`);
+    if (!report.ok) {
+      log(
+        "❌ Check failed - run node build-manifest.js and fix the problems above."
+      );
+    }
+    return { manifest, report };
+  }
+
+  // Write the manifest and search index
+  writeFileAtomic(MANIFEST_FILE, manifestJson);
+  writeFileAtomic(SEARCH_INDEX_FILE, searchIndexJson);
+
+  // Keep PDF text only for entries that still exist
+  const text = {};
+  forEachLeaf(manifest, (pathParts, value) => {
+    if (value && typeof value === "object" && value.hash in cache.text) {
+      text[value.hash] = cache.text[value.hash];
+    }
+  });
+  writeFileAtomic(
+    CACHE_FILE,
+    JSON.stringify({ ...cache, entries: nextEntries, text })
+  );
+
+  log("\n✅ Manifest built successfully!");
+  log(`📊 Total entries: ${totalEntries}`);
+  log(`📄 Manifest saved to: ${MANIFEST_FILE}`);
+  log(`📄 Search index saved to: ${SEARCH_INDEX_FILE}`);
+
+  return { manifest, report };
+}
+
+// Build, then rebuild whenever something under Files/ changes. Changes are
+// batched, so copying in a folder of files causes a single rebuild, and
+// the cache means only the entries that changed are read again. Runs until
+// the process is stopped.
+async function watchManifest(options = {}) {
+  const log = options.log || console.log;
+  // Nobody is there to answer a prompt halfway through a rebuild
+  const rename = options.rename === "yes" ? "yes" : "no";
+  if (rename === "no") {
+    log("ℹ️ Watch mode doesn't rename MP3 files unless run with --yes.");
+  }
+
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  async function rebuild() {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await buildManifest({ ...options, rename, log });
+    } catch (error) {
+      console.error("❌ Error building manifest:", error.message);
+    }
+    running = false;
+
+    if (pending) {
+      pending = false;
+      rebuild();
+    } else {
+      log(`\n👀 Watching ${FILES_DIR} for changes (Ctrl+C to stop)...`);
+    }
+  }
 
-  console.log("\n✅ Manifest built successfully!");
-  console.log(`📊 Total entries: ${totalEntries}`);
-  console.log(`📄 Manifest saved to: ${MANIFEST_FILE}`);
+  await rebuild();
 
-  return manifest;
+  fs.watch(FILES_DIR, { recursive: true }, (eventType, filename) => {
+    // .DS_Store and editor swap files
+    if (filename && path.basename(filename).startsWith(".")) return;
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DELAY);
+  });
+}
+
+function parseArgs(argv) {
+  const options = {
+    rename: "ask",
+    check: false,
+    json: false,
+    watch: false,
+    cache: true,
+    help: false,
+  };
+  for (const arg of argv) {
+    if (arg === "--yes" || arg === "-y") options.rename = "yes";
+    else if (arg === "--no-rename") options.rename = "no";
+    else if (arg === "--check") options.check = true;
+    else if (arg === "--json") options.json = true;
+    else if (arg === "--watch") options.watch = true;
+    else if (arg === "--no-cache") options.cache = false;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else throw new ManifestError(`Unknown option: ${arg}`, { code: "usage" });
+  }
+  if (options.rename === "yes" && options.check) {
+    throw new ManifestError("--yes can't be combined with --check", {
+      code: "usage",
+    });
+  }
+  if (options.watch && (options.check || options.json)) {
+    throw new ManifestError(
+      "--watch can't be combined with --check or --json",
+      {
+        code: "usage",
+      }
+    );
+  }
+  return options;
 }
 
 // Allow running as a script or importing as a module
 if (require.main === module) {
   (async () => {
+    let options;
+    try {
+      options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    if (options.watch) {
+      await watchManifest(options);
+      return;
+    }
+
+    // Keep stdout clean for the JSON report
+    const log = options.json ? console.error : console.log;
+
     try {
-      await buildManifest();
+      const { report } = await buildManifest({ ...options, log });
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      }
+      if (!report.ok) process.exit(1);
     } catch (error) {
+      if (error.code === "cancelled") {
+        console.log(`❌ ${error.message}`);
+        process.exit(0);
+      }
       console.error("❌ Error building manifest:", error.message);
+      if (options.json) {
+        console.log(
+          JSON.stringify({ ok: false, error: error.message }, null, 2)
+        );
+      }
       process.exit(1);
     }
   })();
 }
 
-module.exports = { buildManifest };
+module.exports = {
+  ManifestError,
+  buildManifest,
+  buildSearchIndex,
+  checkMeta,
+  findCombinedParshiyos,
+  findManifestPath,
+  forEachLeaf,
+  isLeaf,
+  leafBase,
+  promptUser,
+  validateSchema,
+  watchManifest,
+};
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+// Builds a static page for every entry in manifest.json, under entries/,
+// and a sitemap.xml listing them. Shared links get a real preview (title,
+// description, image) and search engines get the sheet's text; visitors
+// with JavaScript are sent straight on to the entry in the site.
+// Run node build-manifest.js first.
+
+const fs = require("fs");
+const path = require("path");
+const { forEachLeaf } = require("./build-manifest");
+const {
+  SITE_URL,
+  cleanName,
+  escapeXml,
+  fileUrl,
+  itemTitle,
+} = require("./build-feed");
+
+const MANIFEST_FILE = "./manifest.json";
+const SEARCH_INDEX_FILE = "./search-index.json";
+const PAGES_DIR = "./entries";
+const SITEMAP_FILE = "./sitemap.xml";
+const SITE_TITLE = "Zeidy D's Parsha Sheets";
+
+// URL-friendly folder name: "05 - Ki Seitzei" -> "ki-seitzei". Must match
+// pageSlug in script.js, which links to these pages.
+function pageSlug(part) {
+  const name = cleanName(part);
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || encodeURIComponent(name);
+}
+
+function navPath(pathParts) {
+  return "/" + pathParts.map(cleanName).join("/");
+}
+
+// "Zeidy D's sheet on Yisro 5783, with the audio and video shiur.", or
+// "Bloopers – video from Zeidy D's Parsha Sheets." when there's no sheet
+function defaultDescription(title, entry) {
+  const media = [];
+  if (entry.mp3) media.push("audio");
+  if (entry.youtube.length > 0) media.push("video");
+
+  if (!entry.pdf) {
+    return media.length > 0
+      ? `${title} – ${media.join(" and ")} from ${SITE_TITLE}.`
+      : `${title} – from ${SITE_TITLE}.`;
+  }
+  const withShiur =
+    media.length > 0 ? `, with the ${media.join(" and ")} shiur` : "";
+  return `Zeidy D's sheet on ${title}${withShiur}.`;
+}
+
+// Sheet text from the search index as paragraphs, so the page has real
+// content for search engines and readers without JavaScript
+function renderText(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `      <p dir="auto">${escapeXml(paragraph)}</p>`)
+    .join("\n");
+}
+
+function renderPage(pathParts, entry, text) {
+  const slugParts = pathParts.map(pageSlug);
+  // Relative, so the pages also work on a local server
+  const root = "../".repeat(slugParts.length + 1);
+  const pageUrl = `${SITE_URL}entries/${slugParts.join("/")}/`;
+  const appUrl = `${root}?nav=${encodeURIComponent(navPath(pathParts))}`;
+
+  const meta = entry.meta || {};
+  const title = meta.title || itemTitle(pathParts);
+  const description = meta.description || defaultDescription(title, entry);
+  const image = `${SITE_URL}Thumbnail.jpg`;
+  const crumbs = pathParts
+    .slice(0, -1)
+    .map((part) => escapeXml(cleanName(part)))
+    .join(" › ");
+  const details = [meta.hebrewDate, meta.date, meta.speaker].filter(Boolean);
+
+  const links = [];
+  if (entry.pdf) {
+    links.push(
+      `<a href="${escapeXml(
+        fileUrl(pathParts, `${entry.base}.pdf`)
+      )}">📄 Sheet (PDF)</a>`
+    );
+  }
+  if (entry.mp3) {
+    links.push(
+      `<a href="${escapeXml(
+        fileUrl(pathParts, `${entry.base}.mp3`)
+      )}">🎵 Audio (MP3)</a>`
+    );
+  }
+  entry.youtube.forEach((id, index) => {
+    const part = entry.youtube.length > 1 ? ` (part ${index + 1})` : "";
+    links.push(
+      `<a href="https://www.youtube.com/watch?v=${escapeXml(
+        id
+      )}">📺 Video on YouTube${part}</a>`
+    );
+  });
+  links.push(
+    `<a href="${escapeXml(appUrl)}">Open in ${escapeXml(SITE_TITLE)}</a>`
+  );
+
+  const audioTags = entry.mp3
+    ? `\n    <meta property="og:audio" content="${escapeXml(
+        fileUrl(pathParts, `${entry.base}.mp3`)
+      )}" />\n    <meta property="og:audio:type" content="audio/mpeg" />`
+    : "";
+  // Readers with JavaScript go on to the site, keeping any ?t= or ?page=
+  // from a shared link
+  const handoff = JSON.stringify(appUrl).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeXml(title)} – ${escapeXml(SITE_TITLE)}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="description" content="${escapeXml(description)}" />
+    <link rel="canonical" href="${escapeXml(pageUrl)}" />
+    <link rel="icon" href="${root}favicon.png" />
+    <meta property="og:type" content="article" />
+    <meta property="og:site_name" content="${escapeXml(SITE_TITLE)}" />
+    <meta property="og:title" content="${escapeXml(title)}" />
+    <meta property="og:description" content="${escapeXml(description)}" />
+    <meta property="og:url" content="${escapeXml(pageUrl)}" />
+    <meta property="og:image" content="${escapeXml(image)}" />${audioTags}
+    <meta name="twitter:card" content="summary" />
+    <meta name="twitter:title" content="${escapeXml(title)}" />
+    <meta name="twitter:description" content="${escapeXml(description)}" />
+    <meta name="twitter:image" content="${escapeXml(image)}" />
+    <script>
+      location.replace(
+        ${handoff} + location.search.replace("?", "&") + location.hash
+      );
+    </script>
+    <style>
+      body {
+        font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        line-height: 1.5;
+        max-width: 48rem;
+        margin: 0 auto;
+        padding: 1rem;
+        color: #222;
+      }
+      .crumbs,
+      .details {
+        color: #666;
+      }
+      .links {
+        padding-left: 1.25rem;
+      }
+      article p {
+        white-space: pre-line;
+      }
+    </style>
+  </head>
+  <body>
+    <p class="crumbs"><a href="${root}">${escapeXml(
+    SITE_TITLE
+  )}</a> › ${crumbs}</p>
+    <h1>${escapeXml(title)}</h1>
+${
+  details.length > 0
+    ? `    <p class="details">${details.map(escapeXml).join(" · ")}</p>\n`
+    : ""
+}    <p>${escapeXml(description)}</p>
+    <ul class="links">
+${links.map((link) => `      <li>${link}</li>`).join("\n")}
+    </ul>
+${text ? `    <article>\n${renderText(text)}\n    </article>\n` : ""}  </body>
+</html>
+`;
+}
+
+function renderSitemap(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map((url) => `  <url><loc>${escapeXml(url)}</loc></url>`).join("\n")}
+</urlset>
+`;
+}
+
+function buildPages() {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    throw new Error(
+      `${MANIFEST_FILE} not found - run node build-manifest.js first`
+    );
+  }
+
+  console.log("🌐 Building entry pages...");
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+  const texts = new Map();
+  if (fs.existsSync(SEARCH_INDEX_FILE)) {
+    for (const { path: entryPath, text } of JSON.parse(
+      fs.readFileSync(SEARCH_INDEX_FILE, "utf8")
+    )) {
+      texts.set(entryPath, text);
+    }
+  }
+
+  const pages = new Map(); // slug path -> { pathParts, entry }
+  forEachLeaf(manifest, (pathParts, entry) => {
+    if (!entry || typeof entry !== "object") {
+      throw new Error(
+        `${MANIFEST_FILE} is from an older build - run node build-manifest.js first`
+      );
+    }
+
+    const slugPath = pathParts.map(pageSlug).join("/");
+    if (pages.has(slugPath)) {
+      throw new Error(
+        `${pathParts.join("/")} and ${pages
+          .get(slugPath)
+          .pathParts.join(
+            "/"
+          )} would share the page entries/${slugPath}/ - rename one of them`
+      );
+    }
+    pages.set(slugPath, { pathParts, entry });
+  });
+
+  // Start clean so pages for removed entries don't linger
+  fs.rmSync(PAGES_DIR, { recursive: true, force: true });
+
+  const urls = [SITE_URL];
+  for (const [slugPath, { pathParts, entry }] of pages) {
+    const pageDir = path.join(PAGES_DIR, ...slugPath.split("/"));
+    fs.mkdirSync(pageDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(pageDir, "index.html"),
+      renderPage(pathParts, entry, texts.get(pathParts.join("/")))
+    );
+    urls.push(`${SITE_URL}entries/${slugPath}/`);
+    console.log(`📄 entries/${slugPath}/`);
+  }
+
+  fs.writeFileSync(SITEMAP_FILE, renderSitemap(urls));
+
+  console.log("\n✅ Entry pages built successfully!");
+  console.log(`📊 Pages: ${pages.size}`);
+  console.log(`📄 Pages saved to: ${PAGES_DIR}/`);
+  console.log(`📄 Sitemap saved to: ${SITEMAP_FILE}`);
+
+  return pages;
+}
+
+// Allow running as a script or importing as a module
+if (require.main === module) {
+  try {
+    buildPages();
+  } catch (error) {
+    console.error("❌ Error building pages:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildPages, pageSlug };
@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+
+// Copies sheets and recordings listed in manifest.json to a folder or a
+// single ZIP, optionally filtered by sefer, parsha, year and media type,
+// with an index.html linking every file and YouTube video. Run
+// node build-manifest.js first.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { forEachLeaf } = require("./build-manifest");
+const { cleanName, escapeXml, itemTitle, navUrl } = require("./build-feed");
+
+const FILES_DIR = "./Files";
+const MANIFEST_FILE = "./manifest.json";
+const INDEX_FILE = "index.html";
+const MEDIA_TYPES = ["pdf", "mp3", "youtube"];
+const LAYOUTS = ["flat", "tree"];
+
+const USAGE = `Usage: node export-entries.js (--out <folder> | --zip <file>) [options]
+
+Options:
+  --out <folder>    Copy the files into this folder
+  --zip <file>      Write everything to a single ZIP file instead
+  --sefer <name>    Only entries from this sefer, e.g. Shemos
+  --parsha <name>   Only entries for this parsha, e.g. "Ki Seitzei"
+  --year <year>     Only entries from this year, e.g. 5785
+  --media <types>   Which of pdf, mp3, youtube to include (default: all)
+  --layout <name>   flat: numbered files in one folder (default)
+                    tree: the Files/ folder structure and file names
+  --force           Write into a folder that isn't empty, or replace an
+                    existing ZIP
+  --help            Show this message
+
+--sefer, --parsha, --year and --media take comma-separated lists and can
+be repeated. Names ignore case, spaces and the "01 - " number prefixes.`;
+
+// Bad options or output locations. Thrown instead of exiting so callers
+// decide how to fail.
+class ExportError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = "ExportError";
+    this.code = code;
+  }
+}
+
+// "01 - Lech Lecha" and "lech-lecha" both become "lechlecha"
+function matchName(name) {
+  return cleanName(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function entryYear(pathParts) {
+  return pathParts.find((part) => /^\d{4}$/.test(part)) || null;
+}
+
+// Manifest leaves that pass the filters, in manifest order, with the files
+// to copy and YouTube videos to list for each:
+// [{ pathParts, entry, files: [{ type, source }], videos: [ids] }]
+function selectEntries(manifest, filters = {}) {
+  const { sefer = [], parsha = [], year = [], media = MEDIA_TYPES } = filters;
+  const sefarim = sefer.map(matchName);
+  const parshiyos = parsha.map(matchName);
+  const selected = [];
+
+  forEachLeaf(manifest, (pathParts, entry) => {
+    if (!entry || typeof entry !== "object") {
+      throw new ExportError(
+        `${MANIFEST_FILE} is from an older build - run node build-manifest.js first`
+      );
+    }
+
+    if (sefarim.length > 0 && !sefarim.includes(matchName(pathParts[0]))) {
+      return;
+    }
+    if (
+      parshiyos.length > 0 &&
+      !(pathParts.length > 2 && parshiyos.includes(matchName(pathParts[1])))
+    ) {
+      return;
+    }
+    if (year.length > 0 && !year.includes(entryYear(pathParts))) return;
+
+    const files = [];
+    for (const type of ["pdf", "mp3"]) {
+      if (media.includes(type) && entry[type]) {
+        files.push({
+          type,
+          source: path.join(FILES_DIR, ...pathParts, `${entry.base}.${type}`),
+        });
+      }
+    }
+    const videos = media.includes("youtube") ? entry.youtube : [];
+    if (files.length === 0 && videos.length === 0) return;
+
+    selected.push({ pathParts, entry, files, videos });
+  });
+
+  return selected;
+}
+
+// Name inside the export: "001_Devarim_Ki_Seitzei_5785.pdf" for the flat
+// layout, the original path for the tree layout
+function exportName(item, file, number, digits, layout) {
+  if (layout === "tree") {
+    return [...item.pathParts, path.basename(file.source)].join("/");
+  }
+  const label = item.pathParts.map(cleanName).join("_").replace(/\s+/g, "_");
+  return `${String(number).padStart(digits, "0")}_${label}.${file.type}`;
+}
+
+function renderIndex(items, filters) {
+  const sections = items.map((item) => {
+    const title =
+      (item.entry.meta && item.entry.meta.title) || itemTitle(item.pathParts);
+    const links = item.exported.map(
+      ({ type, name }) =>
+        `<a href="${escapeXml(
+          name.split("/").map(encodeURIComponent).join("/")
+        )}">${type === "pdf" ? "📄 Sheet" : "🎵 Audio"}</a>`
+    );
+    item.videos.forEach((id, index) => {
+      const part = item.videos.length > 1 ? ` (part ${index + 1})` : "";
+      links.push(
+        `<a href="https://www.youtube.com/watch?v=${escapeXml(
+          id
+        )}">📺 YouTube${part}</a>`
+      );
+    });
+    links.push(`<a href="${escapeXml(navUrl(item.pathParts))}">🌐 Online</a>`);
+
+    const crumbs = item.pathParts.slice(0, -1).map(cleanName).join(" › ");
+    return `      <li>
+        <strong>${escapeXml(title)}</strong>
+        <span class="crumbs">${escapeXml(crumbs)}</span><br />
+        ${links.join(" · ")}
+      </li>`;
+  });
+
+  const filterText = ["sefer", "parsha", "year", "media"]
+    .filter(
+      (key) =>
+        filters[key] &&
+        filters[key].length > 0 &&
+        !(key === "media" && filters[key].length === MEDIA_TYPES.length)
+    )
+    .map((key) => `${key}: ${filters[key].join(", ")}`)
+    .join("; ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Zeidy D's Parsha Sheets – Export</title>
+    <style>
+      body {
+        font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        line-height: 1.5;
+        max-width: 48rem;
+        margin: 0 auto;
+        padding: 1rem;
+      }
+      li {
+        margin-bottom: 0.5rem;
+      }
+      .crumbs,
+      .details {
+        color: #666;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>Zeidy D's Parsha Sheets</h1>
+    <p class="details">Exported ${new Date().toISOString().slice(0, 10)}${
+    filterText ? ` (${escapeXml(filterText)})` : ""
+  } – ${items.length} entries</p>
+    <ol>
+${sections.join("\n")}
+    </ol>
+  </body>
+</html>
+`;
+}
+
+// Export targets. Both take files one at a time so large recordings
+// aren't all held in memory.
+
+function createFolderWriter(folder, force) {
+  if (fs.existsSync(folder) && fs.readdirSync(folder).length > 0 && !force) {
+    throw new ExportError(
+      `${folder} isn't empty - pick another folder or pass --force`
+    );
+  }
+  fs.mkdirSync(folder, { recursive: true });
+
+  function target(name) {
+    const filePath = path.join(folder, ...name.split("/"));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    return filePath;
+  }
+
+  return {
+    addFile(name, source) {
+      fs.copyFileSync(source, target(name));
+    },
+    addData(name, data) {
+      fs.writeFileSync(target(name), data);
+    },
+    close() {},
+    abort() {},
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as ZIP headers store them
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// A plain ZIP (no ZIP64, so under 4 GB). Files are deflated when that
+// makes them smaller; MP3s are stored as they are. Written to a temporary
+// file that replaces zipPath on close.
+function createZipWriter(zipPath, force) {
+  if (fs.existsSync(zipPath) && !force) {
+    throw new ExportError(
+      `${zipPath} already exists - pass --force to replace it`
+    );
+  }
+  fs.mkdirSync(path.dirname(path.resolve(zipPath)), { recursive: true });
+
+  const tmpPath = `${zipPath}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  const entries = [];
+  let offset = 0;
+
+  function write(buffer) {
+    fs.writeSync(fd, buffer);
+    offset += buffer.length;
+  }
+
+  function add(name, data, modified) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    const compress = deflated.length < data.length;
+    const body = compress ? deflated : data;
+    if (offset + body.length > 0xffffffff) {
+      throw new ExportError(
+        "The export is too large for a ZIP file - use --out"
+      );
+    }
+
+    const record = {
+      nameBytes,
+      method: compress ? 8 : 0,
+      crc: crc32(data),
+      compressedSize: body.length,
+      size: data.length,
+      ...dosDateTime(modified),
+      offset,
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(record.method, 8);
+    header.writeUInt16LE(record.time, 10);
+    header.writeUInt16LE(record.date, 12);
+    header.writeUInt32LE(record.crc, 14);
+    header.writeUInt32LE(record.compressedSize, 18);
+    header.writeUInt32LE(record.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28); // extra field length
+
+    write(header);
+    write(nameBytes);
+    write(body);
+    entries.push(record);
+  }
+
+  return {
+    addFile(name, source) {
+      add(name, fs.readFileSync(source), fs.statSync(source).mtime);
+    },
+    addData(name, data) {
+      add(name, Buffer.from(data), new Date());
+    },
+    close() {
+      if (entries.length > 0xffff) {
+        throw new ExportError("Too many files for a ZIP file - use --out");
+      }
+
+      const directoryOffset = offset;
+      for (const record of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6); // version needed
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(record.method, 10);
+        header.writeUInt16LE(record.time, 12);
+        header.writeUInt16LE(record.date, 14);
+        header.writeUInt32LE(record.crc, 16);
+        header.writeUInt32LE(record.compressedSize, 20);
+        header.writeUInt32LE(record.size, 24);
+        header.writeUInt16LE(record.nameBytes.length, 28);
+        // Extra field, comment, disk number and attributes stay 0
+        header.writeUInt32LE(record.offset, 42);
+        write(header);
+        write(record.nameBytes);
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      write(end);
+
+      fs.closeSync(fd);
+      fs.renameSync(tmpPath, zipPath);
+    },
+    abort() {
+      fs.closeSync(fd);
+      fs.rmSync(tmpPath, { force: true });
+    },
+  };
+}
+
+function exportEntries(options) {
+  const {
+    out = null,
+    zip = null,
+    layout = "flat",
+    force = false,
+    ...filters
+  } = options;
+
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    throw new ExportError(
+      `${MANIFEST_FILE} not found - run node build-manifest.js first`
+    );
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+  const items = selectEntries(manifest, filters);
+  if (items.length === 0) {
+    throw new ExportError("No entries match those filters");
+  }
+
+  const writer = zip
+    ? createZipWriter(zip, force)
+    : createFolderWriter(out, force);
+  const destination = zip || out;
+  console.log(`📦 Exporting ${items.length} entries`);
+  console.log(`📁 Destination: ${destination}`);
+  const digits = Math.max(3, String(items.length).length);
+  let fileCount = 0;
+
+  try {
+    items.forEach((item, index) => {
+      item.exported = [];
+      for (const file of item.files) {
+        const name = exportName(item, file, index + 1, digits, layout);
+        writer.addFile(name, file.source);
+        item.exported.push({ type: file.type, name });
+        fileCount++;
+        console.log(`📄 ${index + 1}: ${item.pathParts.join("/")} → ${name}`);
+      }
+    });
+
+    writer.addData(INDEX_FILE, renderIndex(items, filters));
+    writer.close();
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+
+  console.log("\n✅ Export complete!");
+  console.log(`📊 Entries: ${items.length}, files: ${fileCount}`);
+  console.log(`📄 Index: ${INDEX_FILE}`);
+  console.log(`📁 Location: ${destination}`);
+
+  return items;
+}
+
+function parseArgs(argv) {
+  const options = {
+    out: null,
+    zip: null,
+    sefer: [],
+    parsha: [],
+    year: [],
+    media: [],
+    layout: "flat",
+    force: false,
+    help: false,
+  };
+  const valueOptions = [
+    "out",
+    "zip",
+    "sefer",
+    "parsha",
+    "year",
+    "media",
+    "layout",
+  ];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--force") {
+      options.force = true;
+      continue;
+    }
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    // --name value or --name=value
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(arg);
+    if (!match || !valueOptions.includes(match[1])) {
+      throw new ExportError(`Unknown option: ${arg}`, { code: "usage" });
+    }
+    const name = match[1];
+    let value = match[2];
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new ExportError(`${arg} needs a value`, { code: "usage" });
+      }
+    }
+
+    if (Array.isArray(options[name])) {
+      options[name].push(
+        ...value
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      );
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (options.help) return options;
+
+  if (!options.out === !options.zip) {
+    throw new ExportError("Pass either --out <folder> or --zip <file>", {
+      code: "usage",
+    });
+  }
+  if (!LAYOUTS.includes(options.layout)) {
+    throw new ExportError(`--layout must be one of: ${LAYOUTS.join(", ")}`, {
+      code: "usage",
+    });
+  }
+  const unknownMedia = options.media.filter(
+    (type) => !MEDIA_TYPES.includes(type)
+  );
+  if (unknownMedia.length > 0) {
+    throw new ExportError(
+      `Unknown media type: ${unknownMedia.join(", ")} (use ${MEDIA_TYPES.join(
+        ", "
+      )})`,
+      { code: "usage" }
+    );
+  }
+  if (options.media.length === 0) options.media = MEDIA_TYPES;
+
+  return options;
+}
+
+// Allow running as a script or importing as a module
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+  } else {
+    try {
+      exportEntries(options);
+    } catch (error) {
+      console.error("❌ Error exporting:", error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = { ExportError, exportEntries, selectEntries };
@@ -0,0 +1,361 @@
+// Hebrew calendar, loaded by index.html before script.js. It also works
+// as a Node module, for scripts that need the same dates.
+//
+// Date arithmetic follows Dershowitz & Reingold's "Calendrical Calculations":
+// dates are counted as fixed day numbers (day 1 = Monday, 1 January 1 CE)
+// and Hebrew months are numbered from Nisan = 1, so Tishrei = 7 and in a
+// leap year Adar I = 12, Adar II = 13.
+const HEBREW_EPOCH = -1373427;
+const NISAN = 1;
+const IYAR = 2;
+const SIVAN = 3;
+const TAMUZ = 4;
+const AV = 5;
+const ELUL = 6;
+const TISHREI = 7;
+const KISLEV = 9;
+const SHEVAT = 11;
+const ADAR = 12;
+const SHABBOS = 6;
+
+function isHebrewLeapYear(year) {
+  return (7 * year + 1) % 19 < 7;
+}
+
+function lastMonthOfHebrewYear(year) {
+  return isHebrewLeapYear(year) ? 13 : 12;
+}
+
+// Days from the epoch to Rosh Hashana, before the postponement rules that
+// depend on the neighbouring years
+function hebrewCalendarElapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+function hebrewYearLengthCorrection(year) {
+  const ny0 = hebrewCalendarElapsedDays(year - 1);
+  const ny1 = hebrewCalendarElapsedDays(year);
+  const ny2 = hebrewCalendarElapsedDays(year + 1);
+  if (ny2 - ny1 === 356) return 2;
+  if (ny1 - ny0 === 382) return 1;
+  return 0;
+}
+
+function hebrewNewYear(year) {
+  return (
+    HEBREW_EPOCH +
+    hebrewCalendarElapsedDays(year) +
+    hebrewYearLengthCorrection(year)
+  );
+}
+
+function daysInHebrewYear(year) {
+  return hebrewNewYear(year + 1) - hebrewNewYear(year);
+}
+
+function lastDayOfHebrewMonth(year, month) {
+  const yearLength = daysInHebrewYear(year);
+  if ([IYAR, TAMUZ, ELUL, 10, 13].includes(month)) return 29;
+  if (month === ADAR && !isHebrewLeapYear(year)) return 29;
+  // Cheshvan is long in complete years, Kislev short in deficient years
+  if (month === 8 && yearLength % 10 !== 5) return 29;
+  if (month === KISLEV && yearLength % 10 === 3) return 29;
+  return 30;
+}
+
+function fixedFromHebrew(year, month, day) {
+  let date = hebrewNewYear(year) + day - 1;
+  if (month < TISHREI) {
+    for (let m = TISHREI; m <= lastMonthOfHebrewYear(year); m++) {
+      date += lastDayOfHebrewMonth(year, m);
+    }
+    for (let m = NISAN; m < month; m++) {
+      date += lastDayOfHebrewMonth(year, m);
+    }
+  } else {
+    for (let m = TISHREI; m < month; m++) {
+      date += lastDayOfHebrewMonth(year, m);
+    }
+  }
+  return date;
+}
+
+function hebrewFromFixed(date) {
+  const approx = Math.floor((date - HEBREW_EPOCH) / (35975351 / 98496)) + 1;
+  let year = approx - 1;
+  while (hebrewNewYear(year + 1) <= date) year++;
+
+  let month = date < fixedFromHebrew(year, NISAN, 1) ? TISHREI : NISAN;
+  while (
+    date > fixedFromHebrew(year, month, lastDayOfHebrewMonth(year, month))
+  ) {
+    month++;
+  }
+  const day = date - fixedFromHebrew(year, month, 1) + 1;
+  return { year, month, day };
+}
+
+// Local calendar day of a JS Date as a fixed day number
+function fixedFromDate(date) {
+  const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.floor(utc / 86400000) + 719163;
+}
+
+function dateFromFixed(fixed) {
+  const utc = new Date((fixed - 719163) * 86400000);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+function dayOfWeek(fixed) {
+  return ((fixed % 7) + 7) % 7; // 0 = Sunday
+}
+
+// First day of the given weekday on or after date
+function weekdayOnOrAfter(weekday, date) {
+  return date + ((weekday - dayOfWeek(date) + 7) % 7);
+}
+
+// Weekly parshiyos, spelled as in the Files folders
+const PARSHIYOS = [
+  "Bereshis",
+  "Noach",
+  "Lech Lecha",
+  "Vayairah",
+  "Chayai Sara",
+  "Toldos",
+  "Vayaitzei",
+  "Vayishlach",
+  "Vayaishev",
+  "Mikeitz",
+  "Vayigash",
+  "Vayechi",
+  "Shemos",
+  "Vaeira",
+  "Bo",
+  "Beshalach",
+  "Yisro",
+  "Mishpatim",
+  "Teruma",
+  "Tetzaveh",
+  "Ki Sisa",
+  "Vayakel",
+  "Pekudei",
+  "Vayikra",
+  "Tzav",
+  "Shmini",
+  "Tazria",
+  "Metzora",
+  "Achrei Mos",
+  "Kedoshim",
+  "Emor",
+  "Behar",
+  "Bechukosai",
+  "Bamidbar",
+  "Naso",
+  "Behaloscha",
+  "Shlach",
+  "Korach",
+  "Chukas",
+  "Balak",
+  "Pinchas",
+  "Matos",
+  "Maasei",
+  "Devarim",
+  "Vaeschanan",
+  "Eikev",
+  "Re'eh",
+  "Shoftim",
+  "Ki Seitzei",
+  "Ki Savo",
+  "Nitzavim",
+  "Vayailech",
+  "Ha'azinu",
+  "V'zos Habracha",
+];
+const parshaIndex = (name) => PARSHIYOS.indexOf(name);
+
+// Builds the Shabbos readings for the cycle that starts after Simchas
+// Torah of the given year. Returns a Map of fixed date -> parsha names.
+//
+// Each stretch between Yomim Tovim ends on a fixed parsha: Tzav before
+// Pesach (in a regular year), Bamidbar before Shavuos, Devarim on Shabbos
+// Chazon and Ha'azinu before Sukkos. Pairs within the stretch are joined
+// as needed to land there. In Israel, where the eighth day of Pesach or
+// second day of Shavuos can be a regular Shabbos, there may be a Shabbos
+// to spare; Israel then reads ahead and catches up at the next pair the
+// diaspora joins.
+function buildParshaSchedule(year, israel) {
+  const leap = isHebrewLeapYear(year);
+  const shabbososBetween = (from, to, skip = []) => {
+    const result = [];
+    for (let d = weekdayOnOrAfter(SHABBOS, from); d <= to; d += 7) {
+      if (!skip.includes(d)) result.push(d);
+    }
+    return result;
+  };
+
+  const simchasTorah = fixedFromHebrew(year, TISHREI, israel ? 22 : 23);
+  const pesach = fixedFromHebrew(year, NISAN, 15);
+  const pesachEnd = pesach + (israel ? 6 : 7);
+  const shavuos = fixedFromHebrew(year, SIVAN, 6);
+  const shavuosEnd = shavuos + (israel ? 0 : 1);
+  const tishaBav = fixedFromHebrew(year, AV, 9);
+  const nextRoshHashana = fixedFromHebrew(year + 1, TISHREI, 1);
+  const nextYomKippur = nextRoshHashana + 9;
+  const nextSukkos = nextRoshHashana + 14;
+
+  const stretches = [
+    {
+      shabbosos: shabbososBetween(simchasTorah + 1, pesach - 1),
+      last: leap ? null : "Tzav",
+      pairs: ["Vayakel"],
+    },
+    {
+      shabbosos: shabbososBetween(pesachEnd + 1, shavuos - 1),
+      last: "Bamidbar",
+      pairs: leap
+        ? ["Vayakel", "Tazria", "Achrei Mos", "Behar"]
+        : ["Tazria", "Achrei Mos", "Behar"],
+    },
+    {
+      shabbosos: shabbososBetween(shavuosEnd + 1, tishaBav),
+      last: "Devarim",
+      pairs: ["Matos", "Chukas"],
+    },
+    {
+      shabbosos: shabbososBetween(tishaBav + 1, nextSukkos - 1, [
+        nextRoshHashana,
+        nextRoshHashana + 1,
+        nextYomKippur,
+      ]),
+      last: "Ha'azinu",
+      pairs: ["Nitzavim"],
+    },
+  ];
+
+  const schedule = new Map();
+  const lastParsha = parshaIndex("Ha'azinu");
+  let next = 0;
+  let carried = [];
+
+  for (const stretch of stretches) {
+    const shabbosos = [...carried, ...stretch.shabbosos];
+    carried = [];
+
+    // A leap year's first stretch runs straight on into the second
+    if (!stretch.last) {
+      carried = shabbosos;
+      continue;
+    }
+
+    // Join just enough pairs, in priority order, to land on the last
+    // parsha of the stretch. Spare Shabbosos simply read ahead.
+    const last = parshaIndex(stretch.last);
+    const joins = Math.max(0, last - next + 1 - shabbosos.length);
+    const toJoin = stretch.pairs
+      .filter((first) => parshaIndex(first) >= next)
+      .slice(0, joins);
+
+    for (const shabbos of shabbosos) {
+      if (next > lastParsha) break;
+      const name = PARSHIYOS[next];
+      if (toJoin.includes(name)) {
+        schedule.set(shabbos, [name, PARSHIYOS[next + 1]]);
+        next += 2;
+      } else {
+        schedule.set(shabbos, [name]);
+        next += 1;
+      }
+    }
+  }
+
+  return schedule;
+}
+
+// Returns the reading for the coming Shabbos (today, if it is Shabbos) as
+// { shabbos, parsha }. When that Shabbos is Yom Tov the following
+// reading is returned, with yomTovShabbos set.
+function getWeeklyParsha(date, israel) {
+  const firstShabbos = weekdayOnOrAfter(SHABBOS, fixedFromDate(date));
+  for (let shabbos = firstShabbos; shabbos < firstShabbos + 35; shabbos += 7) {
+    const { year } = hebrewFromFixed(shabbos);
+    for (const cycleYear of [year, year - 1]) {
+      const parsha = buildParshaSchedule(cycleYear, israel).get(shabbos);
+      if (parsha) {
+        return { shabbos, parsha, yomTovShabbos: shabbos !== firstShabbos };
+      }
+    }
+  }
+  return null;
+}
+
+// When each folder under "06 - Yom Tov" falls. days/israelDays give the
+// length where it is more than one day.
+const YOM_TOV_DATES = {
+  Pesach: { month: NISAN, day: 15, days: 8, israelDays: 7 },
+  "Pesach Sheini": { month: IYAR, day: 14 },
+  "Lag Baomer": { month: IYAR, day: 18 },
+  Shavuos: { month: SIVAN, day: 6, days: 2, israelDays: 1 },
+  "17 Tamuz": { month: TAMUZ, day: 17, fast: true },
+  "9 Av": { month: AV, day: 9, fast: true },
+  "15 Av": { month: AV, day: 15 },
+  Elul: { month: ELUL, day: 1, days: 29 },
+  "Rosh Hashana": { month: TISHREI, day: 1, days: 2 },
+  "Yom Kippur": { month: TISHREI, day: 10 },
+  Sukkos: { month: TISHREI, day: 15, days: 7 },
+  "Hoshana Raba": { month: TISHREI, day: 21 },
+  "Shmini Atzeres": { month: TISHREI, day: 22 },
+  "Simchas Torah": { month: TISHREI, day: 23, israelDay: 22 },
+  Chanukah: { month: KISLEV, day: 25, days: 8 },
+  "Tu Beshvat": { month: SHEVAT, day: 15 },
+  "Purim Katon": { month: ADAR, day: 14, leapYearOnly: true },
+  Purim: { month: ADAR, day: 14, lastAdar: true },
+};
+
+// Yomim Tovim that are on now or start within the next `withinDays` days,
+// soonest first: [{ name, start, end, daysUntil }]
+function getUpcomingYomTov(date, israel, withinDays = 14) {
+  const today = fixedFromDate(date);
+  const { year } = hebrewFromFixed(today);
+  const upcoming = [];
+
+  for (const [name, info] of Object.entries(YOM_TOV_DATES)) {
+    for (const y of [year - 1, year, year + 1]) {
+      const leap = isHebrewLeapYear(y);
+      if (info.leapYearOnly && !leap) continue;
+
+      const month = info.lastAdar && leap ? 13 : info.month;
+      const day = israel && info.israelDay ? info.israelDay : info.day;
+      let start = fixedFromHebrew(y, month, day);
+      // Fasts that fall on Shabbos are pushed off to Sunday
+      if (info.fast && dayOfWeek(start) === SHABBOS) start++;
+
+      const length = (israel && info.israelDays) || info.days || 1;
+      const end = start + length - 1;
+
+      if (end >= today && start - today <= withinDays) {
+        upcoming.push({ name, start, end, daysUntil: start - today });
+      }
+    }
+  }
+
+  return upcoming.sort((a, b) => a.start - b.start);
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    ADAR,
+    PARSHIYOS,
+    TISHREI,
+    YOM_TOV_DATES,
+    buildParshaSchedule,
+    fixedFromHebrew,
+    getUpcomingYomTov,
+    getWeeklyParsha,
+    hebrewFromFixed,
+    isHebrewLeapYear,
+  };
+}
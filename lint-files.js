@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+
+// Checks the Files/ tree for problems build-manifest.js doesn't catch:
+// numbering gaps and duplicates, stray spacing in names, sheets and
+// recordings named differently from their folder, folders that should be
+// years, missing meta.json and empty YouTube IDs. Prints a plan of renames
+// for what can be fixed automatically, and makes them with --apply.
+
+const fs = require("fs");
+const path = require("path");
+const { checkMeta, promptUser } = require("./build-manifest");
+const { cleanName } = require("./build-feed");
+
+const FILES_DIR = "./Files";
+const NUMBER_PREFIX = /^(\d+)\s*-\s*/;
+const YEAR = /^\d{4}$/;
+
+// Headings for the report, in the order they're printed
+const KINDS = {
+  numbering: "Numbering gaps and duplicates",
+  spacing: "Spacing in names",
+  "file-name": "Files named differently from their folder",
+  "year-folder": "Folders that should be years",
+  "missing-meta": "Missing meta.json",
+  "invalid-meta": "Invalid meta.json",
+  "empty-youtube": "Empty YouTube IDs",
+};
+
+const USAGE = `Usage: node lint-files.js [options]
+
+Options:
+  --apply   Make the proposed renames, after asking
+  --yes     Make the proposed renames without asking (implies --apply)
+  --json    Print a machine-readable JSON report to stdout
+  --help    Show this message
+
+Exits with 1 while any errors are left. Run node build-manifest.js after
+renaming.`;
+
+// Bad options, or renames that can't be made. Thrown instead of exiting so
+// callers decide how to fail.
+class LintError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = "LintError";
+    this.code = code;
+  }
+}
+
+// Collapses repeated spaces and spaces out part numbers:
+// "Mishpatim (1)  5784" -> "Mishpatim (1) 5784",
+// "Beshalach 5783(1)" -> "Beshalach 5783 (1)"
+function tidyName(name) {
+  return name
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/(\S)\((\d+)\)/g, "$1 ($2)");
+}
+
+// Same leaf rule as build-manifest.js: a folder with a PDF or meta.json,
+// or with no folders in it
+function isLeafDir(files, dirs) {
+  return (
+    files.some((file) => file.toLowerCase().endsWith(".pdf")) ||
+    files.includes("meta.json") ||
+    dirs.length === 0
+  );
+}
+
+// What a leaf's PDF and MP3 should be called, when its place in the tree
+// says so: "Vayikra 5784" in 03 - Vayikra/01 - Vayikra/5784, and
+// "Chukas 5784 (2)" in a part folder like 5784/Chukas (2). Other entries
+// (Misc, "Dvar Torah", "How to do Teshuva") are named freely.
+function expectedBase(relParts) {
+  if (relParts.length < 3 || !YEAR.test(relParts[2])) return null;
+  const title = tidyName(cleanName(relParts[1]));
+  if (relParts.length === 3) return `${title} ${relParts[2]}`;
+
+  const part = /\((\d+)\)$/.exec(tidyName(relParts[3]));
+  if (relParts.length === 4 && part) {
+    return `${title} ${relParts[2]} (${part[1]})`;
+  }
+  return null;
+}
+
+// Scans Files/ and returns { problems, renames }. Problems are
+// { kind, severity, path, message }; renames are { from, to } paths
+// relative to Files/, both in the current tree, to be made deepest first.
+function lintFiles() {
+  if (!fs.existsSync(FILES_DIR)) {
+    throw new LintError("Files directory not found!");
+  }
+
+  const problems = [];
+  const renames = [];
+
+  const report = (kind, severity, relParts, message) =>
+    problems.push({ kind, severity, path: relParts.join("/"), message });
+
+  // Queues a rename of name (in the folder relParts) unless it would
+  // overwrite something
+  function proposeRename(relParts, name, newName) {
+    const from = [...relParts, name].join("/");
+    const to = [...relParts, newName].join("/");
+    const taken =
+      renames.some((rename) => rename.to === to) ||
+      (fs.existsSync(path.join(FILES_DIR, to)) &&
+        from.toLowerCase() !== to.toLowerCase());
+    if (taken) {
+      report(
+        "file-name",
+        "error",
+        relParts,
+        `can't rename "${name}" to "${newName}" - that name is taken, rename it by hand`
+      );
+      return;
+    }
+    renames.push({ from, to });
+  }
+
+  // Folders inside relParts: numbering at the sefer and parsha levels,
+  // spacing everywhere, years inside a parsha
+  function lintFolderNames(relParts, dirs) {
+    // What each folder is called once tidied, and once renumbered too
+    const tidyNames = new Map(dirs.map((dir) => [dir, tidyName(dir)]));
+    const newNames = new Map(tidyNames);
+
+    const numbered = dirs
+      .filter((dir) => NUMBER_PREFIX.test(dir))
+      .map((dir) => ({ dir, number: Number(NUMBER_PREFIX.exec(dir)[1]) }))
+      .sort((a, b) => a.number - b.number || a.dir.localeCompare(b.dir));
+
+    if (relParts.length <= 1 && numbered.length > 0) {
+      const width = Math.max(2, String(numbered.length).length);
+      const pad = (number) => String(number).padStart(width, "0");
+      const withNumber = (dir, number) =>
+        `${pad(number)} - ${tidyName(dir.replace(NUMBER_PREFIX, ""))}`;
+
+      numbered.forEach(({ dir, number }, index) => {
+        const previous = numbered[index - 1];
+        if (previous && previous.number === number) {
+          report(
+            "numbering",
+            "error",
+            relParts,
+            `"${previous.dir}" and "${dir}" are both numbered ${pad(number)}`
+          );
+        } else if ((previous ? previous.number : 0) + 1 < number) {
+          const after = previous ? ` after "${previous.dir}"` : "";
+          report(
+            "numbering",
+            "error",
+            relParts,
+            `nothing numbered ${pad(number - 1)}${after}`
+          );
+        }
+        tidyNames.set(dir, withNumber(dir, number));
+        // Renumbering in order closes gaps and separates duplicates
+        newNames.set(dir, withNumber(dir, index + 1));
+      });
+
+      dirs
+        .filter((dir) => !NUMBER_PREFIX.test(dir))
+        .forEach((dir) =>
+          report("numbering", "error", relParts, `"${dir}" has no number`)
+        );
+    }
+
+    for (const dir of dirs) {
+      // A new number alone was reported above
+      if (tidyNames.get(dir) !== dir) {
+        report(
+          "spacing",
+          "error",
+          relParts,
+          `"${dir}" should be "${newNames.get(dir)}"`
+        );
+      }
+      if (relParts.length === 2 && !YEAR.test(tidyNames.get(dir))) {
+        report(
+          "year-folder",
+          "warning",
+          relParts,
+          `"${dir}" isn't a year - fine for a one-off entry, otherwise move it into its year`
+        );
+      }
+      if (newNames.get(dir) !== dir) {
+        proposeRename(relParts, dir, newNames.get(dir));
+      }
+    }
+  }
+
+  function lintLeaf(relParts, files) {
+    const metaPath = path.join(FILES_DIR, ...relParts, "meta.json");
+    if (!files.includes("meta.json")) {
+      report("missing-meta", "error", relParts, "no meta.json");
+    } else {
+      const { meta, problems: metaProblems } = checkMeta(metaPath);
+      metaProblems.forEach((problem) =>
+        report("invalid-meta", "error", relParts, problem)
+      );
+      const youtube = meta && meta.youtube;
+      const ids = Array.isArray(youtube) ? youtube : [youtube];
+      if (youtube !== undefined && ids.some((id) => id === "")) {
+        report(
+          "empty-youtube",
+          "warning",
+          relParts,
+          Array.isArray(youtube)
+            ? "youtube list has an empty ID"
+            : 'youtube is "" - add the video ID, or remove the field if there is no video'
+        );
+      }
+    }
+
+    const byType = (extension) =>
+      files.filter((file) => file.toLowerCase().endsWith(`.${extension}`));
+    const media = {
+      pdf: byType("pdf"),
+      mp3: byType("mp3"),
+      vtt: byType("vtt"),
+      srt: byType("srt"),
+    };
+    for (const [extension, found] of Object.entries(media)) {
+      if (found.length > 1) {
+        report(
+          "file-name",
+          "error",
+          relParts,
+          `${
+            found.length
+          } ${extension.toUpperCase()} files - each folder takes one`
+        );
+      }
+    }
+    if (Object.values(media).some((found) => found.length > 1)) return;
+
+    // The MP3 and transcript follow the PDF, as build-manifest.js expects
+    const [main] = media.pdf.length > 0 ? media.pdf : media.mp3;
+    if (!main) return;
+    const base =
+      expectedBase(relParts) || tidyName(main.slice(0, -".pdf".length));
+
+    for (const [extension, [file]] of Object.entries(media)) {
+      const expected = `${base}.${extension}`;
+      if (!file || file === expected) continue;
+      report(
+        "file-name",
+        "error",
+        relParts,
+        `"${file}" should be "${expected}"`
+      );
+      proposeRename(relParts, file, expected);
+    }
+  }
+
+  function scanDirectory(relParts) {
+    const dirents = fs
+      .readdirSync(path.join(FILES_DIR, ...relParts), { withFileTypes: true })
+      // .DS_Store and editor swap files
+      .filter((dirent) => !dirent.name.startsWith("."));
+    const dirs = dirents
+      .filter((dirent) => dirent.isDirectory())
+      .map((dirent) => dirent.name)
+      .sort();
+    const files = dirents
+      .filter((dirent) => dirent.isFile())
+      .map((dirent) => dirent.name)
+      .sort();
+
+    if (relParts.length > 0 && isLeafDir(files, dirs)) {
+      lintLeaf(relParts, files);
+      return;
+    }
+    lintFolderNames(relParts, dirs);
+    dirs.forEach((dir) => scanDirectory([...relParts, dir]));
+  }
+
+  scanDirectory([]);
+
+  // Files before the folders holding them, so every "from" still exists
+  renames.sort((a, b) => b.from.split("/").length - a.from.split("/").length);
+  return { problems, renames };
+}
+
+function printReport({ problems, renames }, log) {
+  for (const [kind, heading] of Object.entries(KINDS)) {
+    const found = problems.filter((problem) => problem.kind === kind);
+    if (found.length === 0) continue;
+    const icon = found.some((problem) => problem.severity === "error")
+      ? "❌"
+      : "⚠️";
+    log(`\n${icon} ${heading} (${found.length}):`);
+    for (const problem of found) {
+      log(`   ${problem.path || "Files"}: ${problem.message}`);
+    }
+  }
+
+  if (renames.length > 0) {
+    log(`\n📝 Proposed renames (${renames.length}):`);
+    renames.forEach(({ from, to }, index) => {
+      log(`   ${index + 1}. ${from}`);
+      log(`      → ${path.posix.basename(to)}`);
+    });
+  }
+}
+
+function countProblems(problems) {
+  const errors = problems.filter((p) => p.severity === "error").length;
+  return { errors, warnings: problems.length - errors };
+}
+
+// Makes the renames from lintFiles, stopping at the first failure
+function applyRenames(renames, log = console.log) {
+  for (const { from, to } of renames) {
+    try {
+      fs.renameSync(path.join(FILES_DIR, from), path.join(FILES_DIR, to));
+    } catch (error) {
+      throw new LintError(`Failed to rename ${from}: ${error.message}`);
+    }
+    log(`   ✅ ${from} → ${path.posix.basename(to)}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = { apply: false, yes: false, json: false, help: false };
+  for (const arg of argv) {
+    if (arg === "--apply") options.apply = true;
+    else if (arg === "--yes" || arg === "-y")
+      options.apply = options.yes = true;
+    else if (arg === "--json") options.json = true;
+    else if (arg === "--help" || arg === "-h") options.help = true;
+    else throw new LintError(`Unknown option: ${arg}`, { code: "usage" });
+  }
+  if (options.json && options.apply && !options.yes) {
+    throw new LintError("--json can't ask before renaming - use --yes", {
+      code: "usage",
+    });
+  }
+  return options;
+}
+
+// Allow running as a script or importing as a module
+if (require.main === module) {
+  (async () => {
+    let options;
+    try {
+      options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    // Keep stdout clean for the JSON report
+    const log = options.json ? console.error : console.log;
+
+    try {
+      log("🔍 Linting Files directory...");
+      let result = lintFiles();
+      printReport(result, log);
+
+      let applied = [];
+      if (options.apply && result.renames.length > 0) {
+        let response = options.yes ? "y" : "n";
+        if (!options.yes) {
+          if (process.stdin.isTTY) {
+            response = await promptUser(
+              `\nMake these ${result.renames.length} renames? (y/n): `
+            );
+          } else {
+            log("\nℹ️ No terminal attached - run with --yes to rename.");
+          }
+        }
+
+        if (response === "y" || response === "yes") {
+          log("");
+          applyRenames(result.renames, log);
+          applied = result.renames;
+          // Report what's left
+          result = lintFiles();
+          log(
+            "\n✅ Renamed - run node build-manifest.js to update the manifest."
+          );
+        } else {
+          log("⏭️  Nothing renamed.");
+        }
+      }
+
+      const { errors, warnings } = countProblems(result.problems);
+      log(`\n📊 Problems: ${errors} error(s), ${warnings} warning(s)`);
+      if (!options.apply && result.renames.length > 0) {
+        log("ℹ️ Run node lint-files.js --apply to make the proposed renames.");
+      }
+
+      if (options.json) {
+        console.log(
+          JSON.stringify(
+            { ok: errors === 0, errors, warnings, ...result, applied },
+            null,
+            2
+          )
+        );
+      }
+      if (errors > 0) process.exit(1);
+    } catch (error) {
+      console.error("❌ Error linting files:", error.message);
+      if (options.json) {
+        console.log(
+          JSON.stringify({ ok: false, error: error.message }, null, 2)
+        );
+      }
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  LintError,
+  applyRenames,
+  expectedBase,
+  lintFiles,
+  tidyName,
+};
@@ -0,0 +1,176 @@
+// Reads duration and bitrate from an MP3 by parsing its frame headers.
+//
+// Uses the Xing/Info or VBRI header when the encoder wrote one, otherwise
+// walks every frame, so both CBR and VBR recordings come out exact without
+// needing ffprobe or any other external tool.
+
+const fs = require("fs");
+
+// Bitrates in kbps, indexed by [version][layer][index]
+const BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+// Decodes the 4-byte frame header at offset, or returns null if there
+// isn't a valid one there
+function parseFrameHeader(buf, offset) {
+  if (offset + 4 > buf.length) return null;
+  if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buf[offset + 1] >> 3) & 0x03;
+  const layerBits = (buf[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buf[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buf[offset + 2] >> 2) & 0x03;
+  const padding = (buf[offset + 2] >> 1) & 0x01;
+  const channelMode = (buf[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+
+  let samplesPerFrame;
+  let frameLength;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && version !== 1 ? 576 : 1152;
+    frameLength =
+      Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding;
+  }
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    frameLength,
+    channels: channelMode === 3 ? 1 : 2,
+  };
+}
+
+// Size of a leading ID3v2 tag, if any
+function id3v2Size(buf) {
+  if (buf.length < 10 || buf.toString("latin1", 0, 3) !== "ID3") return 0;
+  const size =
+    ((buf[6] & 0x7f) << 21) |
+    ((buf[7] & 0x7f) << 14) |
+    ((buf[8] & 0x7f) << 7) |
+    (buf[9] & 0x7f);
+  const hasFooter = (buf[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Finds the first frame, requiring the next one to line up so a stray
+// 0xFF in leftover tag data isn't mistaken for audio
+function findFirstFrame(buf, start) {
+  for (let offset = start; offset < buf.length - 4; offset++) {
+    const header = parseFrameHeader(buf, offset);
+    if (!header) continue;
+    const next = parseFrameHeader(buf, offset + header.frameLength);
+    if (next || offset + header.frameLength >= buf.length) {
+      return { offset, header };
+    }
+  }
+  return null;
+}
+
+// Frame count from a Xing/Info or VBRI header in the first frame
+function readVbrFrameCount(buf, offset, header) {
+  const sideInfo =
+    header.version === 1
+      ? header.channels === 1
+        ? 17
+        : 32
+      : header.channels === 1
+      ? 9
+      : 17;
+
+  const xingAt = offset + 4 + sideInfo;
+  const tag = buf.toString("latin1", xingAt, xingAt + 4);
+  if (tag === "Xing" || tag === "Info") {
+    const flags = buf.readUInt32BE(xingAt + 4);
+    if (flags & 0x01) {
+      return { frames: buf.readUInt32BE(xingAt + 8), vbr: tag === "Xing" };
+    }
+  }
+
+  const vbriAt = offset + 4 + 32;
+  if (buf.toString("latin1", vbriAt, vbriAt + 4) === "VBRI") {
+    return { frames: buf.readUInt32BE(vbriAt + 14), vbr: true };
+  }
+
+  return null;
+}
+
+// Returns { duration (seconds), bitrate (bits/s), sampleRate, channels, vbr }
+// or null if the data doesn't look like an MP3
+function getMp3Info(buffer) {
+  const first = findFirstFrame(buffer, id3v2Size(buffer));
+  if (!first) return null;
+
+  const { header } = first;
+  const hasId3v1 =
+    buffer.length >= 128 &&
+    buffer.toString("latin1", buffer.length - 128, buffer.length - 125) ===
+      "TAG";
+  const audioEnd = buffer.length - (hasId3v1 ? 128 : 0);
+  const audioBytes = audioEnd - first.offset;
+
+  let frames;
+  let vbr;
+  const vbrInfo = readVbrFrameCount(buffer, first.offset, header);
+  if (vbrInfo) {
+    frames = vbrInfo.frames;
+    vbr = vbrInfo.vbr;
+  } else {
+    // No summary header - count frames, noting whether the bitrate changes
+    frames = 0;
+    vbr = false;
+    let offset = first.offset;
+    while (offset < audioEnd) {
+      const frame = parseFrameHeader(buffer, offset);
+      if (!frame) break;
+      if (frame.bitrate !== header.bitrate) vbr = true;
+      frames++;
+      offset += frame.frameLength;
+    }
+  }
+
+  const duration = (frames * header.samplesPerFrame) / header.sampleRate;
+  return {
+    duration,
+    bitrate: duration > 0 ? Math.round((audioBytes * 8) / duration) : 0,
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    vbr,
+  };
+}
+
+function getMp3InfoFromFile(filePath) {
+  return getMp3Info(fs.readFileSync(filePath));
+}
+
+module.exports = { getMp3Info, getMp3InfoFromFile, parseFrameHeader };
@@ -0,0 +1,707 @@
+// Minimal PDF reader used by the build scripts.
+//
+// The parsha sheets are all exported from Word, so this only needs to cope
+// with what Word writes: classic and stream cross-reference sections,
+// object streams, FlateDecode content and Type0/TrueType fonts that carry a
+// ToUnicode CMap. Nothing here relies on external packages or binaries.
+
+const zlib = require("zlib");
+
+// ----- Lexer / object parser -----
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([
+  0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25,
+]);
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+class Lexer {
+  constructor(buffer, pos = 0) {
+    this.buf = buffer;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const buf = this.buf;
+    while (this.pos < buf.length) {
+      const c = buf[this.pos];
+      if (WHITESPACE.has(c)) {
+        this.pos++;
+      } else if (c === 0x25) {
+        // Comment - skip to end of line
+        while (
+          this.pos < buf.length &&
+          buf[this.pos] !== 0x0a &&
+          buf[this.pos] !== 0x0d
+        ) {
+          this.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (
+      this.pos < this.buf.length &&
+      !WHITESPACE.has(this.buf[this.pos]) &&
+      !DELIMITERS.has(this.buf[this.pos])
+    ) {
+      this.pos++;
+    }
+    return this.buf.toString("latin1", start, this.pos);
+  }
+
+  readName() {
+    this.pos++; // skip "/"
+    const raw = this.readRegular();
+    return new PdfName(
+      raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      )
+    );
+  }
+
+  readLiteralString() {
+    this.pos++; // skip "("
+    const bytes = [];
+    let depth = 1;
+    while (this.pos < this.buf.length) {
+      const c = this.buf[this.pos++];
+      if (c === 0x5c) {
+        const next = this.buf[this.pos++];
+        const escapes = {
+          0x6e: 0x0a,
+          0x72: 0x0d,
+          0x74: 0x09,
+          0x62: 0x08,
+          0x66: 0x0c,
+        };
+        if (escapes[next] !== undefined) {
+          bytes.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = String.fromCharCode(next);
+          for (let i = 0; i < 2; i++) {
+            const d = this.buf[this.pos];
+            if (d >= 0x30 && d <= 0x37) {
+              octal += String.fromCharCode(d);
+              this.pos++;
+            } else {
+              break;
+            }
+          }
+          bytes.push(parseInt(octal, 8) & 0xff);
+        } else if (next === 0x0d) {
+          if (this.buf[this.pos] === 0x0a) this.pos++;
+        } else if (next !== 0x0a) {
+          bytes.push(next);
+        }
+      } else if (c === 0x28) {
+        depth++;
+        bytes.push(c);
+      } else if (c === 0x29) {
+        depth--;
+        if (depth === 0) break;
+        bytes.push(c);
+      } else {
+        bytes.push(c);
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  readHexString() {
+    this.pos++; // skip "<"
+    let hex = "";
+    while (this.pos < this.buf.length && this.buf[this.pos] !== 0x3e) {
+      const c = this.buf[this.pos++];
+      if (!WHITESPACE.has(c)) hex += String.fromCharCode(c);
+    }
+    this.pos++; // skip ">"
+    if (hex.length % 2) hex += "0";
+    return Buffer.from(hex, "hex");
+  }
+
+  // Reads one token. Returns { type, value } or null at end of input.
+  nextToken() {
+    this.skipWhitespace();
+    if (this.pos >= this.buf.length) return null;
+
+    const c = this.buf[this.pos];
+    if (c === 0x2f) return { type: "name", value: this.readName() };
+    if (c === 0x28) return { type: "string", value: this.readLiteralString() };
+    if (c === 0x3c) {
+      if (this.buf[this.pos + 1] === 0x3c) {
+        this.pos += 2;
+        return { type: "dictStart" };
+      }
+      return { type: "string", value: this.readHexString() };
+    }
+    if (c === 0x3e && this.buf[this.pos + 1] === 0x3e) {
+      this.pos += 2;
+      return { type: "dictEnd" };
+    }
+    if (c === 0x5b) {
+      this.pos++;
+      return { type: "arrayStart" };
+    }
+    if (c === 0x5d) {
+      this.pos++;
+      return { type: "arrayEnd" };
+    }
+    if (c === 0x7b || c === 0x7d) {
+      this.pos++;
+      return { type: "keyword", value: String.fromCharCode(c) };
+    }
+
+    const word = this.readRegular();
+    if (word === "") {
+      // Stray delimiter - skip it so we never loop forever
+      this.pos++;
+      return this.nextToken();
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { type: "number", value: parseFloat(word) };
+    }
+    return { type: "keyword", value: word };
+  }
+
+  // Parses a complete object (dictionary, array, reference, ...).
+  readObject() {
+    const token = this.nextToken();
+    if (!token) return undefined;
+    return this.objectFromToken(token);
+  }
+
+  objectFromToken(token) {
+    switch (token.type) {
+      case "dictStart": {
+        const dict = {};
+        for (;;) {
+          const key = this.nextToken();
+          if (!key || key.type === "dictEnd") break;
+          if (key.type !== "name") continue;
+          dict[key.value.name] = this.readObject();
+        }
+        return dict;
+      }
+      case "arrayStart": {
+        const arr = [];
+        for (;;) {
+          const item = this.nextToken();
+          if (!item || item.type === "arrayEnd") break;
+          arr.push(this.objectFromToken(item));
+        }
+        return arr;
+      }
+      case "number": {
+        // Look ahead for "<num> <gen> R"
+        const save = this.pos;
+        const gen = this.nextToken();
+        if (gen && gen.type === "number") {
+          const r = this.nextToken();
+          if (r && r.type === "keyword" && r.value === "R") {
+            return new PdfRef(token.value, gen.value);
+          }
+        }
+        this.pos = save;
+        return token.value;
+      }
+      case "keyword":
+        if (token.value === "true") return true;
+        if (token.value === "false") return false;
+        if (token.value === "null") return null;
+        return token.value;
+      default:
+        return token.value;
+    }
+  }
+}
+
+// ----- Document -----
+
+class PdfDocument {
+  constructor(buffer) {
+    this.buf = buffer;
+    this.offsets = new Map(); // object number -> byte offset
+    this.compressed = new Map(); // object number -> { data, offset }
+    this.cache = new Map();
+    this.trailer = {};
+    this.scanObjects();
+  }
+
+  // Rather than trusting the xref table (Word's incremental saves make
+  // offsets easy to get wrong), locate every "n g obj" header directly.
+  // Later definitions win, matching incremental update semantics.
+  scanObjects() {
+    const text = this.buf.toString("latin1");
+    const objPattern = /(?:^|[\s>\]])(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = objPattern.exec(text))) {
+      const offset = match.index + match[0].indexOf(match[1]);
+      this.offsets.set(parseInt(match[1], 10), offset);
+    }
+
+    // Merge every trailer dictionary (classic and xref stream)
+    const trailerPattern = /trailer\s*<</g;
+    while ((match = trailerPattern.exec(text))) {
+      const lexer = new Lexer(this.buf, match.index + 7);
+      Object.assign(this.trailer, lexer.readObject());
+    }
+
+    for (const num of this.offsets.keys()) {
+      const obj = this.getObject(num);
+      if (!(obj instanceof PdfStream)) continue;
+      const type = obj.dict.Type && obj.dict.Type.name;
+      if (type === "XRef") {
+        const { Root, Info } = obj.dict;
+        if (Root && !this.trailer.Root) this.trailer.Root = Root;
+        if (Info && !this.trailer.Info) this.trailer.Info = Info;
+      } else if (type === "ObjStm") {
+        this.indexObjectStream(num, obj);
+      }
+    }
+  }
+
+  indexObjectStream(streamNum, stream) {
+    const data = this.decodeStream(stream);
+    if (!data) return;
+    const count = stream.dict.N || 0;
+    const lexer = new Lexer(data);
+    for (let i = 0; i < count; i++) {
+      const num = lexer.readObject();
+      const offset = lexer.readObject();
+      if (typeof num !== "number" || typeof offset !== "number") break;
+      // Objects in a stream never override a plain definition
+      if (!this.offsets.has(num)) {
+        this.compressed.set(num, {
+          data,
+          offset: (stream.dict.First || 0) + offset,
+        });
+      }
+    }
+  }
+
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+
+    let obj;
+    if (this.offsets.has(num)) {
+      obj = this.parseIndirect(this.offsets.get(num));
+    } else if (this.compressed.has(num)) {
+      const { data, offset } = this.compressed.get(num);
+      obj = new Lexer(data, offset).readObject();
+    }
+
+    this.cache.set(num, obj);
+    return obj;
+  }
+
+  parseIndirect(offset) {
+    const lexer = new Lexer(this.buf, offset);
+    lexer.nextToken(); // num
+    lexer.nextToken(); // gen
+    lexer.nextToken(); // "obj"
+    const value = lexer.readObject();
+
+    const save = lexer.pos;
+    const next = lexer.nextToken();
+    if (!next || next.type !== "keyword" || next.value !== "stream") {
+      lexer.pos = save;
+      return value;
+    }
+
+    // Stream data starts after the EOL that follows "stream"
+    let start = lexer.pos;
+    if (this.buf[start] === 0x0d) start++;
+    if (this.buf[start] === 0x0a) start++;
+
+    let length = value && value.Length;
+    if (length instanceof PdfRef) {
+      const resolved = this.getObject(length.num);
+      length = typeof resolved === "number" ? resolved : undefined;
+    }
+    let end = typeof length === "number" && length >= 0 ? start + length : -1;
+    if (
+      end < 0 ||
+      end > this.buf.length ||
+      this.buf.indexOf("endstream", end, "latin1") - end > 4
+    ) {
+      end = this.buf.indexOf("endstream", start, "latin1");
+    }
+
+    return new PdfStream(value || {}, this.buf.subarray(start, end));
+  }
+
+  resolve(value) {
+    let current = value;
+    let guard = 0;
+    while (current instanceof PdfRef && guard++ < 32) {
+      current = this.getObject(current.num);
+    }
+    return current;
+  }
+
+  decodeStream(stream) {
+    if (!(stream instanceof PdfStream)) return null;
+    const filter = this.resolve(stream.dict.Filter);
+    const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+    let data = stream.raw;
+    for (const f of filters) {
+      const name = f instanceof PdfName ? f.name : f;
+      if (name === "FlateDecode") {
+        try {
+          data = zlib.inflateSync(data);
+        } catch (error) {
+          try {
+            // Tolerate truncated streams
+            data = zlib.inflateSync(data, {
+              finishFlush: zlib.constants.Z_SYNC_FLUSH,
+            });
+          } catch (_) {
+            return null;
+          }
+        }
+      } else {
+        // Images and other encodings carry no text
+        return null;
+      }
+    }
+    return data;
+  }
+
+  get catalog() {
+    return this.resolve(this.trailer.Root) || {};
+  }
+
+  get info() {
+    return this.resolve(this.trailer.Info) || {};
+  }
+
+  // Returns page dictionaries in reading order, with inherited
+  // Resources resolved onto each one.
+  getPages() {
+    const pages = [];
+    const seen = new Set();
+
+    const walk = (node, inherited) => {
+      const dict = this.resolve(node);
+      if (!dict || typeof dict !== "object" || seen.has(dict)) return;
+      seen.add(dict);
+
+      const resources = dict.Resources || inherited;
+      const type = dict.Type && dict.Type.name;
+      if (type === "Pages" || Array.isArray(this.resolve(dict.Kids))) {
+        for (const kid of this.resolve(dict.Kids) || []) {
+          walk(kid, resources);
+        }
+      } else {
+        pages.push({ dict, resources, ref: node });
+      }
+    };
+
+    walk(this.catalog.Pages, undefined);
+    return pages;
+  }
+}
+
+// ----- Text extraction -----
+
+const HEBREW = /[\u0590-\u05ff]/;
+const COMBINING = /^\p{M}/u;
+const MIRRORED = { "(": ")", ")": "(", "[": "]", "]": "[", "{": "}", "}": "{" };
+
+// Parses a ToUnicode CMap into a Map of code (as hex string) -> text.
+function parseToUnicode(data) {
+  const map = new Map();
+  let codeLength = 1;
+  if (!data) return { map, codeLength };
+
+  const text = data.toString("latin1");
+  const hexToText = (hex) => {
+    const bytes = Buffer.from(hex, "hex");
+    let out = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+      out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+    }
+    return out;
+  };
+
+  const range = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  if (range) codeLength = range[1].length / 2;
+
+  const charBlocks = /beginbfchar([\s\S]*?)endbfchar/g;
+  let block;
+  while ((block = charBlocks.exec(text))) {
+    const pairs = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+    let pair;
+    while ((pair = pairs.exec(block[1]))) {
+      map.set(pair[1].toLowerCase(), hexToText(pair[2]));
+    }
+  }
+
+  const rangeBlocks = /beginbfrange([\s\S]*?)endbfrange/g;
+  while ((block = rangeBlocks.exec(text))) {
+    const entries =
+      /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+    let entry;
+    while ((entry = entries.exec(block[1]))) {
+      const width = entry[1].length;
+      const lo = parseInt(entry[1], 16);
+      const hi = parseInt(entry[2], 16);
+      if (hi - lo > 0xffff) continue;
+      if (entry[4] !== undefined) {
+        const base = Buffer.from(entry[4], "hex");
+        for (let code = lo; code <= hi; code++) {
+          const dst = Buffer.from(base);
+          dst.writeUInt16BE(
+            (dst.readUInt16BE(dst.length - 2) + (code - lo)) & 0xffff,
+            dst.length - 2
+          );
+          map.set(
+            code.toString(16).padStart(width, "0"),
+            hexToText(dst.toString("hex"))
+          );
+        }
+      } else {
+        const targets = entry[5].match(/<([0-9a-fA-F]+)>/g) || [];
+        targets.forEach((target, i) => {
+          map.set(
+            (lo + i).toString(16).padStart(width, "0"),
+            hexToText(target.slice(1, -1))
+          );
+        });
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+// The text of each glyph in a string. One glyph can stand for more than
+// one character (a letter with its dagesh, say).
+function decodeGlyphs(bytes, font) {
+  if (!font || font.map.size === 0) {
+    return [...bytes.toString("latin1")];
+  }
+  const glyphs = [];
+  const step = font.codeLength;
+  for (let i = 0; i + step <= bytes.length; i += step) {
+    const code = bytes.toString("hex", i, i + step);
+    if (font.map.has(code)) glyphs.push(font.map.get(code));
+  }
+  return glyphs;
+}
+
+function loadFonts(doc, resources) {
+  const fonts = {};
+  const res = doc.resolve(resources) || {};
+  const fontDict = doc.resolve(res.Font) || {};
+  for (const [name, ref] of Object.entries(fontDict)) {
+    const font = doc.resolve(ref) || {};
+    const toUnicode = doc.resolve(font.ToUnicode);
+    const cmap = parseToUnicode(doc.decodeStream(toUnicode));
+    const isType0 = font.Subtype && font.Subtype.name === "Type0";
+    if (isType0 && cmap.map.size === 0) cmap.codeLength = 2;
+    cmap.rtl = [...cmap.map.values()].some((text) => HEBREW.test(text));
+    fonts[name] = cmap;
+  }
+  return fonts;
+}
+
+function contentData(doc, page) {
+  const contents = doc.resolve(page.dict.Contents);
+  const parts = Array.isArray(contents) ? contents : [contents];
+  return Buffer.concat(
+    parts
+      .map((part) => doc.decodeStream(doc.resolve(part)))
+      .filter(Boolean)
+      .map((data) => Buffer.concat([data, Buffer.from("\n")]))
+  );
+}
+
+// Word draws right-to-left text with the Hebrew fonts, glyph by glyph from
+// the left, so each run comes out in visual order: words and letters
+// reversed, vowel points before their letter, brackets facing the wrong
+// way. Reversing the glyphs of each run (not the characters - see
+// decodeGlyphs) gives reading order. The runs themselves are already in
+// reading order, as are runs in the other fonts, which never hold Hebrew.
+function runText(glyphs, font) {
+  if (!font || !font.rtl) return glyphs.join("");
+  return glyphs
+    .reverse()
+    .map((glyph) => MIRRORED[glyph] || glyph)
+    .join("");
+}
+
+// Runs a page's content stream, emitting text with line breaks where the
+// text matrix moves down the page. Glyphs are gathered into a run until the
+// font changes or the text is positioned afresh: Word sometimes draws a
+// pointed word one glyph at a time, nudging the position in between, and
+// the whole word has to be reversed together.
+function extractPageText(doc, page) {
+  const fonts = loadFonts(doc, page.resources);
+  const lexer = new Lexer(contentData(doc, page));
+  const operands = [];
+  let font = null;
+  let run = [];
+  let out = "";
+  let lastY = null;
+
+  const flush = () => {
+    out += runText(run, font);
+    run = [];
+  };
+  const newline = () => {
+    flush();
+    if (out && !out.endsWith("\n")) out += "\n";
+  };
+  const moveTo = (y) => {
+    if (lastY !== null && Math.abs(y - lastY) > 1) newline();
+    lastY = y;
+  };
+
+  for (;;) {
+    const token = lexer.nextToken();
+    if (!token) break;
+    if (token.type !== "keyword") {
+      operands.push(lexer.objectFromToken(token));
+      continue;
+    }
+
+    switch (token.value) {
+      case "Tf": {
+        flush();
+        const name = operands[operands.length - 2];
+        font = name instanceof PdfName ? fonts[name.name] : null;
+        break;
+      }
+      case "Td":
+      case "TD":
+        // Nudges of a fraction of a point keep to the line
+        if (typeof operands[1] === "number" && Math.abs(operands[1]) > 1) {
+          newline();
+        }
+        break;
+      case "Tm":
+        flush();
+        if (typeof operands[5] === "number") moveTo(operands[5]);
+        break;
+      case "T*":
+        newline();
+        break;
+      case "Tj":
+        if (Buffer.isBuffer(operands[0])) {
+          run.push(...decodeGlyphs(operands[0], font));
+        }
+        break;
+      case "'":
+      case '"':
+        newline();
+        if (Buffer.isBuffer(operands[operands.length - 1])) {
+          run.push(...decodeGlyphs(operands[operands.length - 1], font));
+        }
+        break;
+      case "TJ": {
+        const items = operands[0] || [];
+        let gap = false;
+        items.forEach((item, i) => {
+          if (Buffer.isBuffer(item)) {
+            const glyphs = decodeGlyphs(item, font);
+            // A vowel point is kerned back over its letter, which can look
+            // like the gap between two words
+            if (gap && !COMBINING.test(glyphs[0] || "")) run.push(" ");
+            // and a space pulled back by most of its width isn't one
+            if (items[i + 1] > 150 && glyphs[glyphs.length - 1] === " ") {
+              glyphs.pop();
+            }
+            run.push(...glyphs);
+            gap = false;
+          } else if (typeof item === "number" && item < -200) {
+            gap = true;
+          }
+        });
+        if (gap) run.push(" ");
+        break;
+      }
+      case "ET":
+        flush();
+        break;
+      case "BI": {
+        // Inline image - skip binary data up to "EI"
+        const end = lexer.buf.indexOf("EI", lexer.pos, "latin1");
+        lexer.pos = end < 0 ? lexer.buf.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+
+  flush();
+  return out;
+}
+
+// Some of the fonts map vowel glyphs to the vowel plus a shin dot or a
+// dagesh, which then shows up on whatever letter the vowel is under. Only
+// shin takes a shin dot, and the gutturals never take a dagesh (bar the
+// mappiq in a final hei), so those are dropped. A stray dagesh on any other
+// letter can't be told from a real one.
+function dropStrayMarks(text) {
+  return text.replace(
+    /([א-ת])([\u0591-\u05c7]+)/g,
+    (cluster, letter, marks, at) => {
+      if (letter !== "ש") marks = marks.replace(/[\u05c1\u05c2]/g, "");
+      const final = !/[א-ת]/.test(text.charAt(at + cluster.length));
+      if ("אחער".includes(letter) || (letter === "ה" && !final)) {
+        marks = marks.replace(/\u05bc/g, "");
+      }
+      return letter + marks;
+    }
+  );
+}
+
+// Returns the text of every page, joined by blank lines.
+function extractText(buffer) {
+  const doc = new PdfDocument(buffer);
+  return doc
+    .getPages()
+    .map((page) => dropStrayMarks(extractPageText(doc, page)))
+    .join("\n\n")
+    .replace(/[ \t ]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .normalize("NFC") // Vowel points in one order, whatever the font did
+    .trim();
+}
+
+module.exports = {
+  PdfDocument,
+  PdfName,
+  PdfRef,
+  PdfStream,
+  Lexer,
+  extractText,
+};
@@ -0,0 +1,301 @@
+// Built-in PDF viewer, used on both desktop and mobile.
+//
+// Pages are drawn by pdf.js, which is loaded the first time a sheet is
+// opened. It is kept in vendor/pdfjs (the legacy build of pdfjs-dist
+// 4.10.38, copied unchanged from the npm package) so the viewer works
+// offline and without any CDN; sw.js caches it with the rest of the app.
+// Pages are only rendered once they scroll near the viewport.
+
+// "./" matters: import() treats "vendor/..." as a bare module name
+const PDFJS_BASE = "./vendor/pdfjs/";
+
+const PDF_MIN_SCALE = 0.25;
+const PDF_MAX_SCALE = 4;
+const PDF_ZOOM_STEP = 1.25;
+const PDF_PAGE_GAP = 12;
+
+let pdfjsPromise = null;
+// Only one sheet is shown at a time; destroying the previous document
+// frees its worker
+let activePdfLoadingTask = null;
+
+function loadPdfJs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import(`${PDFJS_BASE}pdf.min.mjs`)
+      .then((pdfjsLib) => {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_BASE}pdf.worker.min.mjs`;
+        return pdfjsLib;
+      })
+      .catch((error) => {
+        // Let the next sheet try again (e.g. after coming back online)
+        pdfjsPromise = null;
+        throw error;
+      });
+  }
+  return pdfjsPromise;
+}
+
+// Returns the viewer element straight away; the document loads into it
+// in the background and opens at initialPage
+function createPdfViewer(pdfPath, filename, initialPage = 1) {
+  const viewer = el("div", { class: "pdf-viewer" });
+
+  const prevBtn = el(
+    "button",
+    { type: "button", class: "pdf-btn", title: "Previous page" },
+    "‹"
+  );
+  const nextBtn = el(
+    "button",
+    { type: "button", class: "pdf-btn", title: "Next page" },
+    "›"
+  );
+  const pageInput = el("input", {
+    type: "number",
+    class: "pdf-page-input",
+    min: "1",
+    value: "1",
+    "aria-label": "Page",
+  });
+  const pageCount = el("span", { class: "pdf-page-count" }, "/ 1");
+  const zoomOutBtn = el(
+    "button",
+    { type: "button", class: "pdf-btn", title: "Zoom out" },
+    "−"
+  );
+  const zoomLabel = el("span", { class: "pdf-zoom-label" }, "100%");
+  const zoomInBtn = el(
+    "button",
+    { type: "button", class: "pdf-btn", title: "Zoom in" },
+    "+"
+  );
+  const fitBtn = el(
+    "button",
+    { type: "button", class: "pdf-btn pdf-fit-btn", title: "Fit to width" },
+    "↔"
+  );
+  const downloadBtn = el(
+    "a",
+    {
+      href: pdfPath,
+      download: filename,
+      class: "pdf-download-btn",
+      title: "Download PDF",
+    },
+    "📄 Download"
+  );
+
+  const toolbar = el(
+    "div",
+    { class: "pdf-toolbar" },
+    el(
+      "div",
+      { class: "pdf-toolbar-group" },
+      prevBtn,
+      pageInput,
+      pageCount,
+      nextBtn
+    ),
+    el(
+      "div",
+      { class: "pdf-toolbar-group" },
+      zoomOutBtn,
+      zoomLabel,
+      zoomInBtn,
+      fitBtn
+    ),
+    downloadBtn
+  );
+  const pagesContainer = el("div", { class: "pdf-pages" });
+  const status = el("div", { class: "pdf-status" }, "Loading PDF…");
+  pagesContainer.appendChild(status);
+
+  viewer.appendChild(toolbar);
+  viewer.appendChild(pagesContainer);
+
+  let pdf = null;
+  let pages = []; // { page, wrapper, canvas, renderedScale, ... }
+  let scale = 1;
+  let fitWidth = true;
+  let currentPage = 1;
+  const visibility = new Map(); // page index -> visible ratio
+
+  const observer = new IntersectionObserver(onIntersect, {
+    root: pagesContainer,
+    rootMargin: "50% 0px",
+    threshold: [0, 0.25, 0.5, 0.75, 1],
+  });
+
+  function clampScale(value) {
+    return Math.min(PDF_MAX_SCALE, Math.max(PDF_MIN_SCALE, value));
+  }
+
+  function fitScale() {
+    const available = pagesContainer.clientWidth - 2 * PDF_PAGE_GAP;
+    const widest = Math.max(
+      ...pages.map(({ page }) => page.getViewport({ scale: 1 }).width)
+    );
+    return available > 0 ? clampScale(available / widest) : 1;
+  }
+
+  // Size every page placeholder for the current scale. Pages are redrawn
+  // as they come into view.
+  function layout() {
+    if (fitWidth) scale = fitScale();
+    zoomLabel.textContent = `${Math.round(scale * 100)}%`;
+    fitBtn.classList.toggle("active", fitWidth);
+
+    for (const entry of pages) {
+      const viewport = entry.page.getViewport({ scale });
+      entry.wrapper.style.width = `${Math.floor(viewport.width)}px`;
+      entry.wrapper.style.height = `${Math.floor(viewport.height)}px`;
+    }
+
+    visibility.forEach((ratio, index) => {
+      if (ratio > 0) renderPage(index);
+    });
+  }
+
+  async function renderPage(index) {
+    const entry = pages[index];
+    if (entry.renderedScale === scale) return;
+    if (entry.renderTask) {
+      if (entry.renderingScale === scale) return;
+      entry.renderTask.cancel();
+    }
+
+    const outputScale = window.devicePixelRatio || 1;
+    const viewport = entry.page.getViewport({ scale });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(viewport.width * outputScale);
+    canvas.height = Math.floor(viewport.height * outputScale);
+
+    const renderScale = scale;
+    entry.renderingScale = renderScale;
+    const renderTask = entry.page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+      transform:
+        outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+    });
+    entry.renderTask = renderTask;
+
+    try {
+      await renderTask.promise;
+    } catch (error) {
+      // Cancelled by a newer render at another zoom level
+      if (error && error.name === "RenderingCancelledException") return;
+      console.error("Failed to render page", index + 1, error);
+      return;
+    }
+
+    entry.renderTask = null;
+    entry.renderedScale = renderScale;
+    // Swap in the finished canvas so the old zoom level stays visible
+    // while the new one draws
+    entry.canvas.replaceWith(canvas);
+    entry.canvas = canvas;
+  }
+
+  function onIntersect(entries) {
+    for (const intersection of entries) {
+      const index = Number(intersection.target.dataset.index);
+      visibility.set(index, intersection.intersectionRatio);
+      if (intersection.isIntersecting) renderPage(index);
+    }
+
+    // The current page is whichever shows the most
+    let best = currentPage - 1;
+    visibility.forEach((ratio, index) => {
+      if (ratio > (visibility.get(best) || 0)) best = index;
+    });
+    setCurrentPage(best + 1);
+  }
+
+  function setCurrentPage(number) {
+    currentPage = number;
+    pageInput.value = String(number);
+    prevBtn.disabled = number <= 1;
+    nextBtn.disabled = number >= pages.length;
+  }
+
+  function goToPage(number) {
+    if (!pdf) return;
+    const target = Math.min(pages.length, Math.max(1, number));
+    pagesContainer.scrollTop =
+      pages[target - 1].wrapper.offsetTop - PDF_PAGE_GAP;
+    setCurrentPage(target);
+  }
+
+  function zoomTo(value) {
+    fitWidth = false;
+    scale = clampScale(value);
+    layout();
+  }
+
+  prevBtn.addEventListener("click", () => goToPage(currentPage - 1));
+  nextBtn.addEventListener("click", () => goToPage(currentPage + 1));
+  pageInput.addEventListener("change", () =>
+    goToPage(parseInt(pageInput.value, 10) || 1)
+  );
+  zoomInBtn.addEventListener("click", () => zoomTo(scale * PDF_ZOOM_STEP));
+  zoomOutBtn.addEventListener("click", () => zoomTo(scale / PDF_ZOOM_STEP));
+  fitBtn.addEventListener("click", () => {
+    fitWidth = true;
+    layout();
+  });
+
+  // Keep fit-to-width pages filling the viewer as the window resizes
+  let resizeTimer = null;
+  new ResizeObserver(() => {
+    if (!pdf || !fitWidth) return;
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(layout, 150);
+  }).observe(pagesContainer);
+
+  (async () => {
+    try {
+      const pdfjsLib = await loadPdfJs();
+      if (activePdfLoadingTask) activePdfLoadingTask.destroy();
+      const loadingTask = pdfjsLib.getDocument(pdfPath);
+      activePdfLoadingTask = loadingTask;
+      pdf = await loadingTask.promise;
+      const loaded = await Promise.all(
+        Array.from({ length: pdf.numPages }, (_, i) => pdf.getPage(i + 1))
+      );
+
+      status.remove();
+      pages = loaded.map((page, index) => {
+        const canvas = document.createElement("canvas");
+        const wrapper = el("div", {
+          class: "pdf-page",
+          "data-index": String(index),
+        });
+        wrapper.appendChild(canvas);
+        pagesContainer.appendChild(wrapper);
+        observer.observe(wrapper);
+        return {
+          page,
+          wrapper,
+          canvas,
+          renderedScale: null,
+          renderingScale: null,
+          renderTask: null,
+        };
+      });
+
+      pageInput.max = String(pages.length);
+      pageCount.textContent = `/ ${pages.length}`;
+      setCurrentPage(1);
+      layout();
+      if (initialPage > 1) goToPage(initialPage);
+    } catch (error) {
+      console.error("Failed to open PDF:", pdfPath, error);
+      status.textContent = navigator.onLine
+        ? "This PDF couldn't be displayed here. Use Download to open it."
+        : "The PDF viewer isn't available offline yet. Use Download to open the sheet.";
+    }
+  })();
+
+  return viewer;
+}
@@ -0,0 +1,352 @@
+// Minimal PDF writer used by the build scripts.
+//
+// Writes new documents from plain objects, and copies pages (with
+// everything they use) out of documents opened with pdf-reader.js. Text
+// uses the standard Helvetica fonts, which every viewer has, so nothing
+// needs embedding. Nothing here relies on external packages or binaries.
+
+const zlib = require("zlib");
+const { PdfName, PdfRef, PdfStream } = require("./pdf-reader");
+
+// An object in the document being written. PdfRef is kept for objects in
+// the documents being read, so the two can't be mixed up.
+class OutputRef {
+  constructor(num) {
+    this.num = num;
+  }
+}
+
+function name(value) {
+  return new PdfName(value);
+}
+
+// ----- Standard fonts -----
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for character
+// codes 32-126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Punctuation outside ASCII that WinAnsiEncoding has, with its code and
+// width in Helvetica / Helvetica-Bold
+const WIN_ANSI_EXTRAS = {
+  "‘": [0x91, 222, 278],
+  "’": [0x92, 222, 278],
+  "“": [0x93, 333, 500],
+  "”": [0x94, 333, 500],
+  "•": [0x95, 350, 350],
+  "–": [0x96, 556, 556],
+  "—": [0x97, 1000, 1000],
+  "…": [0x85, 1000, 1000],
+  "‹": [0x8b, 333, 333],
+  "›": [0x9b, 333, 333],
+  "·": [0xb7, 278, 278],
+};
+
+function standardFont(baseFont) {
+  return {
+    Type: name("Font"),
+    Subtype: name("Type1"),
+    BaseFont: name(baseFont),
+    Encoding: name("WinAnsiEncoding"),
+  };
+}
+
+// Text as a WinAnsi string for Tj; characters the font can't show become "?"
+function encodeWinAnsi(text) {
+  let out = "";
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code >= 0x20 && code <= 0x7e) out += char;
+    else if (WIN_ANSI_EXTRAS[char]) {
+      out += String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+    } else out += "?";
+  }
+  return `(${out.replace(/[\\()]/g, "\\$&")})`;
+}
+
+function textWidth(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code >= 0x20 && code <= 0x7e) total += widths[code - 0x20];
+    else if (WIN_ANSI_EXTRAS[char]) {
+      total += WIN_ANSI_EXTRAS[char][bold ? 2 : 1];
+    } else total += widths["?".charCodeAt(0) - 0x20];
+  }
+  return (total * size) / 1000;
+}
+
+// ----- Serialization -----
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value);
+  return String(Number(value.toFixed(4)));
+}
+
+function formatName(value) {
+  return (
+    "/" +
+    value.replace(
+      /[^!-~]|[#%()/<>[\]{}]/g,
+      (char) => "#" + char.charCodeAt(0).toString(16).padStart(2, "0")
+    )
+  );
+}
+
+// JavaScript strings are text (titles, URLs); Buffers are byte strings
+// copied from another document
+function formatString(value) {
+  if (Buffer.isBuffer(value)) return `<${value.toString("hex")}>`;
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return `(${value.replace(/[\\()]/g, "\\$&")})`;
+  }
+  const utf16 = Buffer.from(value, "utf16le").swap16();
+  return `<feff${utf16.toString("hex")}>`;
+}
+
+function serialize(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "number") return formatNumber(value);
+  if (typeof value === "boolean") return String(value);
+  if (typeof value === "string" || Buffer.isBuffer(value)) {
+    return formatString(value);
+  }
+  if (value instanceof PdfName) return formatName(value.name);
+  if (value instanceof OutputRef) return `${value.num} 0 R`;
+  if (value instanceof PdfRef) {
+    throw new Error("Object from another document was not imported");
+  }
+  if (Array.isArray(value)) return `[${value.map(serialize).join(" ")}]`;
+  return `<<${Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => `${formatName(key)} ${serialize(item)}`)
+    .join(" ")}>>`;
+}
+
+// ----- Writer -----
+
+// Page attributes a page can inherit from its parents in the page tree
+const INHERITED_PAGE_KEYS = ["Resources", "MediaBox", "CropBox", "Rotate"];
+
+class PdfWriter {
+  constructor() {
+    this.objects = [null]; // object number -> value (0 is unused)
+    this.imported = new Map(); // PdfDocument -> Map(source num -> OutputRef)
+    this.pending = []; // [{ doc, num, ref }] still to copy
+  }
+
+  // Reserves an object number, for objects that refer to each other
+  ref() {
+    this.objects.push(undefined);
+    return new OutputRef(this.objects.length - 1);
+  }
+
+  set(ref, value) {
+    this.objects[ref.num] = value;
+    return ref;
+  }
+
+  add(value) {
+    return this.set(this.ref(), value);
+  }
+
+  // A Flate-compressed stream, e.g. page content
+  addStream(data, dict = {}) {
+    return this.add(
+      new PdfStream(
+        { ...dict, Filter: name("FlateDecode") },
+        zlib.deflateSync(Buffer.from(data, "latin1"))
+      )
+    );
+  }
+
+  // ----- Copying from other documents -----
+
+  importRef(doc, sourceRef) {
+    if (!this.imported.has(doc)) this.imported.set(doc, new Map());
+    const refs = this.imported.get(doc);
+    if (!refs.has(sourceRef.num)) {
+      const ref = this.ref();
+      refs.set(sourceRef.num, ref);
+      this.pending.push({ doc, num: sourceRef.num, ref });
+    }
+    return refs.get(sourceRef.num);
+  }
+
+  // Copies a value, queuing every object it refers to
+  importValue(doc, value) {
+    if (value instanceof PdfRef) return this.importRef(doc, value);
+    if (value instanceof PdfStream) {
+      return new PdfStream(this.importValue(doc, value.dict), value.raw);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.importValue(doc, item));
+    }
+    if (
+      value &&
+      typeof value === "object" &&
+      !(value instanceof PdfName) &&
+      !(value instanceof OutputRef) &&
+      !Buffer.isBuffer(value)
+    ) {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = this.importValue(doc, item);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  flushImports() {
+    while (this.pending.length > 0) {
+      const { doc, num, ref } = this.pending.shift();
+      this.set(ref, this.importValue(doc, doc.getObject(num)));
+    }
+  }
+
+  // Copies every page of a pdf-reader.js PdfDocument under parent and
+  // returns their refs. overlay(index, mediaBox) may return content to draw
+  // on top of a page, using the fonts given as { resourceName: fontRef }.
+  importPages(doc, parent, { overlay, fonts = {} } = {}) {
+    if (doc.trailer.Encrypt) {
+      throw new Error("Encrypted PDFs can't be copied");
+    }
+
+    const pages = doc.getPages();
+    // Reserve the pages first, so links between them point at the copies
+    // rather than pulling in the original page tree
+    const refs = pages.map((page) =>
+      page.ref instanceof PdfRef ? this.importRef(doc, page.ref) : this.ref()
+    );
+    this.pending = this.pending.filter(
+      (item) => !(item.doc === doc && refs.includes(item.ref))
+    );
+
+    pages.forEach((page, index) => {
+      const dict = { ...page.dict };
+      delete dict.Parent;
+      for (const key of INHERITED_PAGE_KEYS) {
+        if (dict[key] === undefined) dict[key] = inherited(doc, page.dict, key);
+      }
+      if (dict.MediaBox === undefined) dict.MediaBox = [0, 0, 612, 792];
+
+      const copy = this.importValue(doc, dict);
+      copy.Parent = parent;
+
+      const mediaBox = doc.resolve(dict.MediaBox).map((n) => doc.resolve(n));
+      const content = overlay ? overlay(index, mediaBox) : null;
+      if (content) {
+        // Fonts go into a copy of the resources, which may be shared with
+        // other pages
+        const resources = doc.resolve(dict.Resources) || {};
+        copy.Resources = {
+          ...this.importValue(doc, resources),
+          Font: {
+            ...this.importValue(doc, doc.resolve(resources.Font) || {}),
+            ...fonts,
+          },
+        };
+
+        // Contents is a stream, an array of streams or a ref to either
+        let contents = dict.Contents;
+        if (Array.isArray(doc.resolve(contents)))
+          contents = doc.resolve(contents);
+        const original = (Array.isArray(contents) ? contents : [contents])
+          .filter(Boolean)
+          .map((part) => this.importValue(doc, part));
+        // The original content may leave the graphics state changed
+        copy.Contents = [
+          this.addStream("q\n"),
+          ...original,
+          this.addStream(`Q\n${content}`),
+        ];
+      }
+
+      this.set(refs[index], copy);
+    });
+
+    this.flushImports();
+    return refs;
+  }
+
+  // The finished file. trailer holds Root and optionally Info.
+  toBuffer(trailer) {
+    this.flushImports();
+
+    const chunks = [Buffer.from("%PDF-1.7\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let length = chunks[0].length;
+    const push = (chunk) => {
+      const buffer = Buffer.isBuffer(chunk)
+        ? chunk
+        : Buffer.from(chunk, "latin1");
+      chunks.push(buffer);
+      length += buffer.length;
+    };
+
+    const offsets = [];
+    for (let num = 1; num < this.objects.length; num++) {
+      offsets[num] = length;
+      const value = this.objects[num];
+      push(`${num} 0 obj\n`);
+      if (value instanceof PdfStream) {
+        push(
+          `${serialize({ ...value.dict, Length: value.raw.length })}\nstream\n`
+        );
+        push(value.raw);
+        push("\nendstream");
+      } else {
+        push(serialize(value === undefined ? null : value));
+      }
+      push("\nendobj\n");
+    }
+
+    const xrefOffset = length;
+    push(`xref\n0 ${this.objects.length}\n0000000000 65535 f \n`);
+    for (let num = 1; num < this.objects.length; num++) {
+      push(`${String(offsets[num]).padStart(10, "0")} 00000 n \n`);
+    }
+    push(
+      `trailer\n${serialize({ ...trailer, Size: this.objects.length })}\n` +
+        `startxref\n${xrefOffset}\n%%EOF\n`
+    );
+
+    return Buffer.concat(chunks);
+  }
+}
+
+function inherited(doc, dict, key) {
+  let node = doc.resolve(dict.Parent);
+  for (let depth = 0; node && depth < 32; depth++) {
+    if (node[key] !== undefined) return node[key];
+    node = doc.resolve(node.Parent);
+  }
+  return undefined;
+}
+
+module.exports = {
+  OutputRef,
+  PdfWriter,
+  encodeWinAnsi,
+  name,
+  standardFont,
+  textWidth,
+};
@@ -0,0 +1,358 @@
+// Minimal QR code encoder used by the build scripts.
+//
+// Only what the booklet's video links need: byte mode, error correction
+// level M, versions 1-10 (up to 213 bytes - a YouTube URL is under 50).
+// Follows ISO/IEC 18004; nothing here relies on external packages.
+
+const MAX_VERSION = 10;
+// Per version (index 0 unused), for error correction level M
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ECC_BLOCK_COUNT = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ECC_LEVEL_M_BITS = 0;
+
+// Modules left for data and error correction once the function patterns
+// are drawn
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version) {
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * ECC_BLOCK_COUNT[version]
+  );
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// ----- Reed-Solomon over GF(256), polynomial 0x11d -----
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => (result[i] ^= gfMultiply(coef, factor)));
+  }
+  return result;
+}
+
+// ----- Codewords -----
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4); // byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);
+  for (const byte of bytes) append(byte, 8);
+
+  const capacity = dataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length)); // terminator
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  return codewords;
+}
+
+// Splits the data into blocks, adds error correction to each and
+// interleaves them
+function addErrorCorrection(data, version) {
+  const blockCount = ECC_BLOCK_COUNT[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(k, k + length);
+    k += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    // Keeps the columns lined up while interleaving; skipped below
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// ----- Module placement -----
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const reserved = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they'd overlap the finders
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      ) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Reserve the format information areas; drawn once the mask is chosen
+  drawFormatBits({ modules, reserved, size, set }, 0);
+
+  return { modules, reserved, size, set };
+}
+
+function drawFormatBits(matrix, mask) {
+  const { size, set } = matrix;
+  const data = (ECC_LEVEL_M_BITS << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // always dark
+}
+
+// Zigzags the codewords up and down two-module columns from the right
+function drawCodewords({ modules, reserved, size }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ modules, reserved, size }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// Scores how hard a masked symbol is to scan; the lowest score wins
+function penaltyScore({ modules, size }) {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  const finderLike = [true, false, true, true, true, false, true];
+  for (const line of lines) {
+    // Runs of five or more
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+
+    // Finder-like patterns with four light modules on either side
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+      const lightBefore = [1, 2, 3, 4].every((k) => i - k < 0 || !line[i - k]);
+      const lightAfter = [0, 1, 2, 3].every(
+        (k) => i + 7 + k >= size || !line[i + 7 + k]
+      );
+      if (lightBefore || lightAfter) score += 40;
+    }
+  }
+
+  // 2x2 blocks of one color
+  for (let y = 0; y + 1 < size; y++) {
+    for (let x = 0; x + 1 < size; x++) {
+      const dark = modules[y][x];
+      if (
+        modules[y][x + 1] === dark &&
+        modules[y + 1][x] === dark &&
+        modules[y + 1][x + 1] === dark
+      ) {
+        score += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light
+  const total = size * size;
+  const dark = modules.reduce(
+    (sum, row) => sum + row.filter(Boolean).length,
+    0
+  );
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return score;
+}
+
+// Returns the QR code for text as rows of booleans (true = dark), without
+// the quiet zone
+function encodeQr(text) {
+  const bytes = Buffer.from(text, "utf8");
+  let version = 1;
+  while (
+    version <= MAX_VERSION &&
+    4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8
+  ) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`Too long for a QR code: ${text}`);
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, mask);
+    const score = penaltyScore(matrix);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  }
+  return best.modules;
+}
+
+module.exports = { encodeQr };
@@ -24,9 +24,14 @@ async function loadJSON(path) {
   }
 }
 
+// The loaded manifest, for code that runs outside the init flow (audio
+// events, offline sync)
+let siteManifest = null;
+
 async function loadManifest() {
   // Since we know the file exists at the root, try simple relative path
-  return loadJSON("manifest.json");
+  siteManifest = await loadJSON("manifest.json");
+  return siteManifest;
 }
 
 async function loadMeta(relativePath) {
@@ -34,6 +39,25 @@ async function loadMeta(relativePath) {
   return loadJSON(path);
 }
 
+// Manifest leaves are entry records written by build-manifest.js:
+// { type: "entry", base, pdf, mp3, youtube, meta, hash, combines }. Older
+// manifests, which the service worker may still have cached, used the base
+// filename string or null instead.
+function isLeaf(value) {
+  return (
+    value === null ||
+    typeof value === "string" ||
+    (typeof value === "object" && value.type === "entry")
+  );
+}
+
+// A leaf as an entry record. Old-style leaves come back marked legacy:
+// their files and meta.json have to be fetched to find out what's there.
+function entryRecord(value) {
+  if (value && typeof value === "object") return value;
+  return { type: "entry", base: value, legacy: true };
+}
+
 function el(tag, props = {}, ...children) {
   const node = document.createElement(tag);
   Object.entries(props).forEach(([k, v]) => {
@@ -50,10 +74,37 @@ function el(tag, props = {}, ...children) {
   return node;
 }
 
+// Nav views: "tree" (Sefer › Parsha › Year, the default) or "year" (the
+// same entries under year headings). Chosen with ?view=.
+const NAV_VIEWS = ["tree", "year"];
+
+// The view #nav-tree currently shows
+let navView = "tree";
+
+function getNavView() {
+  const view = getUrlParameter("view");
+  return NAV_VIEWS.includes(view) ? view : "tree";
+}
+
 function renderNav(manifest) {
-  const nav = document.getElementById("nav");
+  const nav = document.getElementById("nav-tree");
   nav.innerHTML = "";
-  const listItems = [];
+  navView = getNavView();
+
+  document.querySelectorAll(".nav-view-btn").forEach((button) => {
+    const selected = button.dataset.view === navView;
+    button.classList.toggle("active", selected);
+    button.setAttribute("aria-pressed", String(selected));
+  });
+
+  const combinedEntries = combinedEntriesByParsha(manifest);
+  if (navView === "year") {
+    renderYearNav(manifest, nav);
+  } else {
+    renderLevel(manifest, nav);
+  }
+  setTreeRoles(nav);
+  setRovingItem(nav.querySelector('[role="treeitem"]'));
 
   function renderLevel(data, container, depth = 0, pathPrefix = []) {
     // Safety check to prevent infinite recursion
@@ -66,85 +117,37 @@ function renderNav(manifest) {
       return;
     }
 
-    const keys = Object.keys(data).sort();
+    // A parsha's own years, and the years it was read together with
+    // another one, in year order
+    const items = Object.keys(data).map((key) => ({ key }));
+    for (const leaf of combinedEntries.get(pathPrefix.join("/")) || []) {
+      items.push({ key: leaf.pathParts.slice(2).join("/"), leaf });
+    }
+    items.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    for (const { key, leaf } of items) {
+      if (leaf) {
+        appendCombinedNavItem(container, leaf);
+        continue;
+      }
 
-    for (const key of keys) {
       const value = data[key];
       const currentPath = [...pathPrefix, key];
 
-      if (typeof value === "string" || value === null) {
-        // This is a leaf node (string = base filename, or null = YouTube/media only)
-        const li = el("li", {}, cap(key));
-        li.addEventListener("click", (e) => {
-          e.stopPropagation();
-          listItems.forEach((x) => x.classList.remove("active"));
-          li.classList.add("active");
-
-          // Reconstruct path from JSON structure
-          const fullPath = currentPath.join("/");
-          showContent(fullPath, value);
-
-          // Update nav parameter with clean path (remove prefixes)
-          const cleanPath = currentPath
-            .map((part) => part.replace(/^\d+\s*-\s*/, ""))
-            .join("/");
-          updateUrlParameter("nav", "/" + cleanPath);
-
-          // Close mobile nav when item is selected
-          if (window.innerWidth <= 1024) {
-            const nav = document.getElementById("nav");
-            const navOverlay = document.getElementById("nav-overlay");
-            const navToggle = document.getElementById("nav-toggle");
-
-            nav.classList.remove("open");
-            navOverlay.classList.remove("active");
-            navToggle.classList.remove("active");
-            document.body.style.overflow = "";
-          }
-        });
-        listItems.push(li);
-
-        const ul = el("ul");
-        ul.appendChild(li);
-        container.appendChild(ul);
+      if (isLeaf(value)) {
+        // This is a leaf node (an entry record, or an old-style base filename)
+        appendNavItem(container, currentPath, value, cap(key));
       } else if (value && typeof value === "object" && !Array.isArray(value)) {
-        // This is a branch node, create header and recurse
-        const headerTag = depth === 0 ? "h2" : "h3";
-        const header = el(headerTag, { class: "collapsed" }, cap(key));
-        const section = el("div", {
-          class:
-            depth === 0
-              ? "sefer-section collapsed"
-              : "section-level-" + depth + " collapsed",
-        });
-
-        // Add accordion functionality
-        header.addEventListener("click", (e) => {
-          e.preventDefault();
-          header.classList.toggle("collapsed");
-          section.classList.toggle("collapsed");
-
-          // Update nav parameter when expanding sections
-          if (!header.classList.contains("collapsed")) {
-            const cleanPath = currentPath
-              .map((part) => part.replace(/^\d+\s*-\s*/, ""))
-              .join("/");
-            updateUrlParameter("nav", "/" + cleanPath);
-          }
-        });
-
-        // Add accordion functionality consistently
-        container.appendChild(header);
+        // This is a branch node, create header and recurse.
+        // Update nav parameter when expanding sections.
+        const section = appendNavSection(
+          container,
+          depth,
+          currentPath.join("/"),
+          cap(key),
+          () => updateUrlParameter("nav", cleanNavPath(currentPath))
+        );
         renderLevel(value, section, depth + 1, currentPath);
-        container.appendChild(section);
-      } else if (value === null) {
-        // Handle null values (missing PDFs) - show as disabled item
-        const li = el("li", { class: "disabled" }, `${cap(key)} (No PDF)`);
-        listItems.push(li);
-
-        const ul = el("ul");
-        ul.appendChild(li);
-        container.appendChild(ul);
       } else {
         console.warn("Unexpected value type:", {
           key,
@@ -154,8 +157,481 @@ function renderNav(manifest) {
       }
     }
   }
+}
+
+// Add a nav entry that opens a manifest leaf
+function appendNavItem(container, pathParts, value, label) {
+  const li = el("li", { "data-path": pathParts.join("/") }, label);
+  const stats = entryStats(entryRecord(value));
+  if (stats) li.appendChild(el("span", { class: "nav-stats" }, stats));
+  li.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openEntry(pathParts, value);
+  });
+
+  const ul = el("ul");
+  ul.appendChild(li);
+  container.appendChild(ul);
+}
+
+// "🎵 42 min · 📄 4 pp": the recording's length and the sheet's page count
+// from the entry record. Empty for old-style leaves, which don't have them.
+function entryStats(entry) {
+  const stats = [];
+  if (entry.mp3 && entry.mp3.duration) {
+    stats.push(`🎵 ${formatMinutes(entry.mp3.duration)}`);
+  }
+  if (entry.pdf && entry.pdf.pages) {
+    stats.push(`📄 ${entry.pdf.pages} ${entry.pdf.pages === 1 ? "p" : "pp"}`);
+  }
+  return stats.join(" · ");
+}
+
+// Entries of combined parshiyos, by the folders of the parshiyos they join
+// (the combines field written by build-manifest.js):
+// "02 - Shemos/10 - Vayakel" -> [{ pathParts, value }] for Vayakel-Pekudei
+function combinedEntriesByParsha(manifest) {
+  const byParsha = new Map();
+  for (const leaf of collectLeaves(manifest, [])) {
+    const combines = leaf.value && leaf.value.combines;
+    if (!Array.isArray(combines)) continue;
+    for (const folder of combines) {
+      if (!byParsha.has(folder)) byParsha.set(folder, []);
+      byParsha.get(folder).push(leaf);
+    }
+  }
+  return byParsha;
+}
+
+// A combined parsha's entry listed under one of its parshiyos, e.g.
+// "5783 · Vayakel-Pekudei" under Vayakel. It opens the entry in its own
+// folder.
+function appendCombinedNavItem(container, { pathParts, value }) {
+  const combinedName = pathParts[1].replace(/^\d+\s*-\s*/, "").trim();
+  const label = `${pathParts.slice(2).map(cap).join(" – ")} · ${combinedName}`;
+  appendNavItem(container, pathParts, value, label);
+
+  const li = container.lastElementChild.firstElementChild;
+  li.classList.add("nav-combined");
+  li.title = `Read together as ${combinedName}`;
+}
+
+// Add a collapsed accordion header and the section it opens, returning
+// the section. onExpand runs when the user opens it; either way the
+// expansion is saved with the history entry.
+function appendNavSection(container, depth, path, label, onExpand) {
+  const headerTag = depth === 0 ? "h2" : "h3";
+  const header = el(
+    headerTag,
+    { class: "collapsed", "data-path": path },
+    label
+  );
+  const section = el("div", {
+    class:
+      depth === 0
+        ? "sefer-section collapsed"
+        : "section-level-" + depth + " collapsed",
+  });
+
+  header.addEventListener("click", (e) => {
+    e.preventDefault();
+    setHeaderExpanded(header, header.classList.contains("collapsed"));
+
+    if (!header.classList.contains("collapsed") && onExpand) {
+      onExpand();
+    } else {
+      saveNavState();
+    }
+  });
+
+  container.appendChild(header);
+  container.appendChild(section);
+  return section;
+}
+
+// Every leaf grouped by year (newest first), then by sefer in parsha
+// order. Entries without a year (Misc, some Yom Tov shiurim) are grouped
+// under null, last. Returns [[year, [[sefer, leaves]]]].
+function groupLeavesByYear(manifest) {
+  const years = new Map();
+  for (const leaf of collectLeaves(manifest, [])) {
+    const year = leaf.pathParts.find((part) => /^\d{4}$/.test(part)) || null;
+    const sefer = leaf.pathParts[0];
+    if (!years.has(year)) years.set(year, new Map());
+    const sefarim = years.get(year);
+    if (!sefarim.has(sefer)) sefarim.set(sefer, []);
+    sefarim.get(sefer).push(leaf);
+  }
+
+  return [...years.entries()]
+    .sort(([a], [b]) => {
+      if (a === null) return 1;
+      if (b === null) return -1;
+      return Number(b) - Number(a);
+    })
+    .map(([year, sefarim]) => [year, [...sefarim.entries()]]);
+}
+
+// The "by year" view. Header paths are prefixed with "year:" so they
+// can't be confused with the tree's; items keep their manifest paths, so
+// the active and pinned markers work the same in both views.
+function renderYearNav(manifest, nav) {
+  for (const [year, sefarim] of groupLeavesByYear(manifest)) {
+    const yearPath = `year:${year || "other"}`;
+    const yearSection = appendNavSection(nav, 0, yearPath, year || "Other");
+
+    for (const [sefer, leaves] of sefarim) {
+      const seferSection = appendNavSection(
+        yearSection,
+        1,
+        `${yearPath}/${sefer}`,
+        cap(sefer)
+      );
+
+      for (const { pathParts, value } of leaves) {
+        // "Yisro", or "Beshalach – Beshalach 5783 (1)" below the year
+        const label = pathParts
+          .slice(1)
+          .filter((part) => part !== year)
+          .map(cap)
+          .join(" – ");
+        appendNavItem(seferSection, pathParts, value, label);
+      }
+    }
+  }
+
+  // Start with this Hebrew year open, if it has entries
+  const today = hebrewFromFixed(fixedFromDate(new Date()));
+  const header = findNavHeader(`year:${today.year}`);
+  if (header) setHeaderExpanded(header, true);
+}
+
+// Make the rendered nav an ARIA tree. Headers and entries are the tree
+// items; the section and list wrappers are only there for layout, so
+// they're hidden from assistive tech and each item states its own level
+// and position instead (the "flat" form of the WAI-ARIA treeview).
+function setTreeRoles(container, level = 1) {
+  const items = [];
+  for (const child of container.children) {
+    if (child.matches("h2, h3")) {
+      items.push(child);
+    } else if (child.matches("ul")) {
+      child.setAttribute("role", "none");
+      items.push(...child.children);
+    } else {
+      child.setAttribute("role", "none");
+    }
+  }
+
+  items.forEach((item, index) => {
+    item.setAttribute("role", "treeitem");
+    item.setAttribute("aria-level", String(level));
+    item.setAttribute("aria-posinset", String(index + 1));
+    item.setAttribute("aria-setsize", String(items.length));
+    item.tabIndex = -1;
+
+    if (item.matches("h2, h3")) {
+      item.setAttribute(
+        "aria-expanded",
+        String(!item.classList.contains("collapsed"))
+      );
+      setTreeRoles(item.nextElementSibling, level + 1);
+    }
+  });
+}
+
+// Switch the nav between views, keeping the open entry highlighted
+function setNavView(view, manifest) {
+  updateUrlParameter("view", view === "tree" ? null : view);
+  renderNav(manifest);
+  markPinnedEntries();
+  if (activeEntryPath) markActiveEntry(activeEntryPath);
+  saveNavState();
+}
+
+// Keyboard use of the nav tree, following the WAI-ARIA treeview pattern:
+// only one item is in the tab order at a time (a "roving" tabindex), the
+// arrow keys move between items and open and close sections, Home/End go
+// to the first/last item, Enter opens, and typing jumps to the next item
+// starting with what was typed.
+const TYPEAHEAD_TIMEOUT = 500;
+
+function treeItems() {
+  return Array.from(document.querySelectorAll('#nav-tree [role="treeitem"]'));
+}
+
+// Items not inside a collapsed section, in order
+function visibleTreeItems() {
+  return treeItems().filter(
+    (item) => !item.parentElement.closest("#nav-tree .collapsed")
+  );
+}
+
+function setRovingItem(item) {
+  if (!item) return;
+  treeItems().forEach((other) => {
+    other.tabIndex = other === item ? 0 : -1;
+  });
+}
+
+function focusTreeItem(item) {
+  if (!item) return;
+  setRovingItem(item);
+  item.focus();
+}
+
+// The header of the section an item is in, or null at the top level
+function parentTreeItem(item) {
+  const section = item.parentElement.closest("#nav-tree div");
+  return section && section.id !== "nav-tree"
+    ? section.previousElementSibling
+    : null;
+}
+
+function initNavKeyboard() {
+  const tree = document.getElementById("nav-tree");
+  let typed = "";
+  let typedAt = 0;
+
+  // Clicks move the tab stop too
+  tree.addEventListener("focusin", (e) => {
+    if (e.target.getAttribute("role") === "treeitem") setRovingItem(e.target);
+  });
+
+  tree.addEventListener("keydown", (e) => {
+    const item = e.target.closest('[role="treeitem"]');
+    if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const items = visibleTreeItems();
+    const index = items.indexOf(item);
+    const isBranch = item.hasAttribute("aria-expanded");
+    const expanded = item.getAttribute("aria-expanded") === "true";
+
+    switch (e.key) {
+      case "ArrowDown":
+        focusTreeItem(items[index + 1]);
+        break;
+      case "ArrowUp":
+        focusTreeItem(items[index - 1]);
+        break;
+      case "Home":
+        focusTreeItem(items[0]);
+        break;
+      case "End":
+        focusTreeItem(items[items.length - 1]);
+        break;
+      case "ArrowRight":
+        // Open a closed section, or step into an open one
+        if (isBranch && !expanded) {
+          item.click();
+        } else if (isBranch) {
+          focusTreeItem(
+            item.nextElementSibling.querySelector('[role="treeitem"]')
+          );
+        }
+        break;
+      case "ArrowLeft":
+        // Close an open section, or step out to the enclosing one
+        if (isBranch && expanded) {
+          item.click();
+        } else {
+          focusTreeItem(parentTreeItem(item));
+        }
+        break;
+      case "Enter":
+        item.click();
+        break;
+      default: {
+        if (e.key.length !== 1 || e.key === " ") return;
+
+        const now = Date.now();
+        typed =
+          now - typedAt > TYPEAHEAD_TIMEOUT
+            ? e.key.toLowerCase()
+            : typed + e.key.toLowerCase();
+        typedAt = now;
+
+        // Look from the next item, or from this one while the typed text
+        // is still being extended
+        const start = typed.length > 1 ? index : index + 1;
+        const match = [...items.slice(start), ...items.slice(0, start)].find(
+          (candidate) =>
+            candidate.textContent.trim().toLowerCase().startsWith(typed)
+        );
+        focusTreeItem(match);
+      }
+    }
+    e.preventDefault();
+  });
+}
+
+function initNavViews(manifest) {
+  document.querySelectorAll(".nav-view-btn").forEach((button) => {
+    button.addEventListener("click", () => {
+      if (button.dataset.view !== navView) {
+        setNavView(button.dataset.view, manifest);
+      }
+    });
+  });
+}
+
+// Show a manifest leaf, mark it active in the nav and add it to the
+// browser history
+// options are passed to showContent
+function openEntry(pathParts, value, options = {}) {
+  const fullPath = pathParts.join("/");
+  showContent(fullPath, value, options);
+  markActiveEntry(fullPath);
+  updateUrlParameter("nav", cleanNavPath(pathParts), true);
+  closeMobileNav();
+}
+
+// Manifest path of the entry being shown, if any
+let activeEntryPath = null;
+
+// Highlight the nav item for an entry and expand the sections around it
+function markActiveEntry(fullPath) {
+  activeEntryPath = fullPath;
+  document.querySelectorAll("nav li").forEach((item) => {
+    const active = item.dataset.path === fullPath;
+    item.classList.toggle("active", active);
+    if (item.getAttribute("role") === "treeitem") {
+      item.setAttribute("aria-selected", String(active));
+    }
+  });
+  // The entry's own item, not a copy listed under a combined parsha's
+  // parshiyos
+  const activeItem = document.querySelector(
+    "#nav-tree li.active:not(.nav-combined)"
+  );
+  if (activeItem) {
+    expandNavTo(activeItem);
+    setRovingItem(activeItem);
+  }
+}
+
+// Expand every collapsed accordion section containing the given element
+function expandNavTo(node) {
+  let section = node.parentElement;
+  while (section && section.id !== "nav-tree") {
+    if (section.classList.contains("collapsed")) {
+      const header = section.previousElementSibling;
+      if (header) {
+        setHeaderExpanded(header, true);
+      } else {
+        section.classList.remove("collapsed");
+      }
+    }
+    section = section.parentElement;
+  }
+}
+
+function findNavHeader(fullPath) {
+  return Array.from(
+    document.querySelectorAll("#nav-tree h2, #nav-tree h3")
+  ).find((header) => header.dataset.path === fullPath);
+}
+
+function setHeaderExpanded(header, expanded) {
+  header.classList.toggle("collapsed", !expanded);
+  header.setAttribute("aria-expanded", String(expanded));
+  if (header.nextElementSibling) {
+    header.nextElementSibling.classList.toggle("collapsed", !expanded);
+  }
+}
+
+// Expand the sections for each level of a manifest path
+function expandNavPath(keys) {
+  for (let i = 1; i <= keys.length; i++) {
+    const header = findNavHeader(keys.slice(0, i).join("/"));
+    if (header) setHeaderExpanded(header, true);
+  }
+}
+
+// Paths of the expanded sections, saved with each history entry so Back
+// and Forward restore the tree as it was
+function getExpandedPaths() {
+  return Array.from(document.querySelectorAll("#nav-tree h2, #nav-tree h3"))
+    .filter((header) => !header.classList.contains("collapsed"))
+    .map((header) => header.dataset.path);
+}
+
+function setExpandedPaths(paths) {
+  document.querySelectorAll("#nav-tree h2, #nav-tree h3").forEach((header) => {
+    setHeaderExpanded(header, paths.includes(header.dataset.path));
+  });
+}
+
+// "/Shemos/Yisro/5783" for a manifest path, as used in ?nav=
+function cleanNavPath(pathParts) {
+  return (
+    "/" + pathParts.map((part) => part.replace(/^\d+\s*-\s*/, "")).join("/")
+  );
+}
+
+// Lists kept in localStorage hold ?nav= paths rather than manifest paths,
+// so they survive lint-files renumbering folders. Paths already in that
+// form are left alone.
+function toStoredPath(fullPath) {
+  return fullPath.startsWith("/")
+    ? fullPath
+    : cleanNavPath(fullPath.split("/"));
+}
+
+// The manifest path for a stored path. Older lists hold manifest paths,
+// which are cleaned first so they still match after a rename. Paths that
+// no longer resolve come back unchanged, so they aren't lost on the next
+// save.
+function fromStoredPath(path) {
+  const navPath = toStoredPath(path);
+  const { keys, complete } = resolveNavPath(navPath, siteManifest);
+  return complete ? keys.join("/") : navPath;
+}
+
+// Folder name as used in entries/ page URLs: "05 - Ki Seitzei" ->
+// "ki-seitzei". Must match pageSlug in build-pages.js.
+function pageSlug(part) {
+  const name = part.replace(/^\d+\s*-\s*/, "").trim();
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || encodeURIComponent(name);
+}
+
+// Address to share for an entry: its static page (built by
+// build-pages.js), which gives a proper link preview and then forwards
+// here with any query parameters
+function entryPageUrl(pathParts) {
+  const slug = pathParts.map(pageSlug).join("/");
+  return new URL(`entries/${slug}/`, window.location.href);
+}
+
+// Close mobile nav when an item is selected
+function closeMobileNav() {
+  if (window.innerWidth > 1024) return;
+
+  const nav = document.getElementById("nav");
+  const navOverlay = document.getElementById("nav-overlay");
+  const navToggle = document.getElementById("nav-toggle");
+
+  nav.classList.remove("open");
+  navOverlay.classList.remove("active");
+  navToggle.classList.remove("active");
+  document.body.style.overflow = "";
+}
 
-  renderLevel(manifest, nav);
+function openMobileNav() {
+  if (window.innerWidth > 1024) return;
+
+  const nav = document.getElementById("nav");
+  const navOverlay = document.getElementById("nav-overlay");
+  const navToggle = document.getElementById("nav-toggle");
+
+  nav.classList.add("open");
+  navOverlay.classList.add("active");
+  navToggle.classList.add("active");
+  document.body.style.overflow = "hidden";
 }
 
 function cap(s) {
@@ -173,7 +649,12 @@ function cap(s) {
   );
 }
 
-async function showContent(relativePath, baseFilename) {
+// value is the manifest leaf. options.time (seconds) starts the recording
+// there; options.page opens the PDF at that page. Both come from &t= and
+// &page= deep links.
+async function showContent(relativePath, value, options = {}) {
+  const entry = entryRecord(value);
+  const baseFilename = entry.base;
   const pathParts = relativePath.split("/");
   const displayName = pathParts[pathParts.length - 1];
 
@@ -181,7 +662,12 @@ async function showContent(relativePath, baseFilename) {
   const breadcrumb = pathParts.map(cap).join(" › ");
 
   document.getElementById("title").textContent = cap(displayName);
-  document.getElementById("crumbs").textContent = breadcrumb;
+  const crumbs = document.getElementById("crumbs");
+  crumbs.textContent = breadcrumb;
+  const stats = entryStats(entry);
+  if (stats) crumbs.appendChild(el("span", { class: "entry-stats" }, stats));
+  renderEntryMeta(null);
+  pageTranscript = null;
 
   const content = document.getElementById("content");
   content.innerHTML = "";
@@ -190,8 +676,8 @@ async function showContent(relativePath, baseFilename) {
   const statusContainer = el("div", { class: "status-messages" });
   content.appendChild(statusContainer);
 
-  // Always check for PDF and audio files regardless of manifest value
-  // Determine base filename - use manifest value or directory name
+  // Old-style leaves without a base filename are checked under the
+  // directory name
   const actualBaseFilename = baseFilename || relativePath.split("/").pop();
 
   // Check for PDF file (simple relative paths work on GitHub Pages)
@@ -202,51 +688,75 @@ async function showContent(relativePath, baseFilename) {
   const mp3Filename = `${actualBaseFilename}.mp3`;
   const mp3Path = `Files/${relativePath}/${mp3Filename}`;
 
-  console.log("Checking for files:", { pdfPath, mp3Path, actualBaseFilename });
+  // Entry records list the files; for old-style leaves, check for them.
+  // Checks go through the service worker, so pinned files are found offline.
+  const fileStatus = (info, path) => {
+    if (entry.legacy) return checkFile(path);
+    if (!info) return Promise.resolve("missing");
+    if (!navigator.onLine && !findPin(relativePath)) {
+      return Promise.resolve("offline");
+    }
+    return Promise.resolve("found");
+  };
+
+  const pdfStatus = fileStatus(entry.pdf, pdfPath);
+  pdfStatus.then((status) => {
+    if (status === "found") return;
+    const pdfError = el(
+      "div",
+      { class: "media-error" },
+      status === "offline" ? "📄 PDF not available offline" : "📄 No PDF found"
+    );
+    statusContainer.appendChild(pdfError);
+  });
+
+  const mp3Status = fileStatus(entry.mp3, mp3Path);
+  mp3Status.then((status) => {
+    if (status === "found") return;
+    const audioError = el(
+      "div",
+      { class: "media-error" },
+      status === "offline"
+        ? "🎵 Audio not available offline"
+        : "🎵 No audio found"
+    );
+    statusContainer.appendChild(audioError);
+  });
 
-  // Check PDF existence
-  fetch(pdfPath, { method: "HEAD" })
-    .then((response) => {
-      if (!response.ok) {
-        const pdfError = el("div", { class: "media-error" }, "📄 No PDF found");
-        statusContainer.appendChild(pdfError);
+  if (options.time != null && baseFilename) {
+    mp3Status.then((status) => {
+      if (status === "found") {
+        playEntry({ pathParts, baseFilename }, options.time);
       }
-    })
-    .catch(() => {
-      const pdfError = el("div", { class: "media-error" }, "📄 No PDF found");
-      statusContainer.appendChild(pdfError);
     });
+  }
 
-  // Check MP3 existence
-  fetch(mp3Path, { method: "HEAD" })
-    .then((response) => {
-      if (!response.ok) {
-        const audioError = el(
-          "div",
-          { class: "media-error" },
-          "🎵 No audio found"
-        );
-        statusContainer.appendChild(audioError);
-      }
-    })
-    .catch(() => {
-      const audioError = el(
-        "div",
-        { class: "media-error" },
-        "🎵 No audio found"
-      );
-      statusContainer.appendChild(audioError);
-    });
+  const actions = el(
+    "div",
+    { class: "entry-actions" },
+    renderFavoriteButton(relativePath)
+  );
+  const offlineControls = renderOfflineControls(pathParts);
+  if (offlineControls) actions.appendChild(offlineControls);
+  content.appendChild(actions);
+  addRecentEntry(relativePath);
 
   // Create embeds container for YouTube + Audio
   const embedsContainer = el("div", { class: "embeds-container" });
 
   // Meta (YouTube)
   try {
-    const meta = await loadMeta(relativePath);
+    const meta = entry.legacy
+      ? await loadMeta(relativePath)
+      : { ...entry.meta, youtube: entry.youtube };
     let hasEmbeds = false;
 
-    if (!meta.youtube || meta.youtube === "") {
+    if (meta.title) {
+      document.getElementById("title").textContent = meta.title;
+    }
+    renderEntryMeta(meta, entry.combines);
+
+    if (!meta.youtube || meta.youtube.length === 0) {
       const youtubeError = el(
         "div",
         { class: "media-error" },
@@ -287,56 +797,36 @@ async function showContent(relativePath, baseFilename) {
       }
     }
 
-    // Try to show audio player using base filename
-    if (baseFilename && baseFilename !== null) {
-      const mp3Filename = `${baseFilename}.mp3`;
-      const mp3Path = `Files/${relativePath}/${mp3Filename}`;
-
-      console.log("Trying to load audio:", mp3Path);
-
+    // Audio plays in the mini-player so it keeps going while browsing
+    if (baseFilename) {
       const audioWrapper = el("div", { class: "audio-wrapper" });
       const audioTitle = el("h4", { class: "audio-title" }, "Audio");
-      const audio = el("audio", {
-        preload: "metadata",
-        id: `audio-${Date.now()}`,
-      });
-
-      const source = el("source", {
-        src: mp3Path,
-        type: "audio/mpeg",
-      });
-      audio.appendChild(source);
-
-      // Add error handling
-      audio.addEventListener("error", () => {
-        console.log("Audio not found:", mp3Path);
-        const audioError = el(
-          "div",
-          { class: "media-error" },
-          "🎵 No audio found"
-        );
-        statusContainer.appendChild(audioError);
-        audioWrapper.style.display = "none";
-      });
-
-      audio.addEventListener("loadedmetadata", () => {
-        console.log("Audio loaded successfully:", mp3Path);
-      });
-
-      // Player controls container
       const controlsContainer = el("div", { class: "audio-controls" });
-      const playBtn = el("button", { class: "audio-btn play-btn" }, "▶️");
 
-      const progressContainer = el("div", { class: "progress-container" });
-      const progressBar = el("div", { class: "progress-bar" });
-      const progressFill = el("div", { class: "progress-fill" });
-      progressBar.appendChild(progressFill);
+      const track = { pathParts, baseFilename };
+      const playBtn = el(
+        "button",
+        { class: "audio-btn play-btn", onclick: () => playEntry(track) },
+        "▶️ Play"
+      );
+      controlsContainer.appendChild(playBtn);
+
+      const sefer = pathParts[0];
+      controlsContainer.appendChild(
+        playAllButton(cap(sefer), track, () =>
+          buildAudioQueue((leaf) => leaf.pathParts[0] === sefer)
+        )
+      );
 
-      const timeDisplay = el("span", { class: "time-display" }, "0:00 / 0:00");
-      progressContainer.appendChild(progressBar);
-      progressContainer.appendChild(timeDisplay);
+      const year = pathParts.find((part) => /^\d{4}$/.test(part));
+      if (year) {
+        controlsContainer.appendChild(
+          playAllButton(year, track, () =>
+            buildAudioQueue((leaf) => leaf.pathParts.includes(year))
+          )
+        );
+      }
 
-      const speedBtn = el("button", { class: "audio-btn speed-btn" }, "1x");
       const downloadBtn = el(
         "a",
         {
@@ -347,17 +837,18 @@ async function showContent(relativePath, baseFilename) {
         },
         "⬇️"
       );
-
-      controlsContainer.appendChild(playBtn);
-      controlsContainer.appendChild(progressContainer);
-      controlsContainer.appendChild(speedBtn);
       controlsContainer.appendChild(downloadBtn);
 
       audioWrapper.appendChild(audioTitle);
-      audioWrapper.appendChild(audio);
       audioWrapper.appendChild(controlsContainer);
+      const transcript = renderTranscript(track, entry);
+      if (transcript) audioWrapper.appendChild(transcript);
+
+      // The "No audio found" message comes from the check above
+      mp3Status.then((status) => {
+        if (status !== "found") audioWrapper.style.display = "none";
+      });
 
-      setupAudioPlayer(audio, playBtn, progressFill, timeDisplay, speedBtn);
       embedsContainer.appendChild(audioWrapper);
       hasEmbeds = true;
     }
@@ -372,97 +863,894 @@ async function showContent(relativePath, baseFilename) {
   }
 
   // PDF - Only create viewer if PDF actually exists
-  if (baseFilename && baseFilename !== null) {
-    console.log("Checking for PDF:", pdfPath);
-
-    // Check if PDF exists before creating any viewer
-    fetch(pdfPath, { method: "HEAD" })
-      .then((response) => {
-        if (response.ok) {
-          console.log("PDF found, creating viewer");
-          createPdfViewer();
-        } else {
-          console.log("PDF not found, skipping viewer creation");
-        }
-      })
-      .catch(() => {
-        console.log("PDF check failed, skipping viewer creation");
-      });
+  if (baseFilename) {
+    pdfStatus.then((status) => {
+      if (status === "found") showPdfViewer();
+    });
 
-    function createPdfViewer() {
-      const isMobile = window.innerWidth <= 768;
+    function showPdfViewer() {
       const pdfWrap = el("div", { class: "pdf-wrap" });
+      pdfWrap.appendChild(
+        createPdfViewer(pdfPath, pdfFilename, options.page || 1)
+      );
+      content.appendChild(pdfWrap);
+    }
+  }
+}
 
-      if (isMobile) {
-        const mobilePdfPath = encodeURIComponent(
-          `${window.location.origin}/Files/${relativePath}/${pdfFilename}`
-        );
-        const pdfViewerUrl = `https://mozilla.github.io/pdf.js/web/viewer.html?file=${mobilePdfPath}`;
+// Full-text search over the static index written by build-manifest.js
+const SEARCH_MAX_RESULTS = 25;
+const SEARCH_SNIPPET_RADIUS = 60;
 
-        // Create mobile PDF container with iframe and download option
-        const mobileContainer = el("div", { class: "mobile-pdf-container" });
+let searchIndexPromise = null;
 
-        const pdfViewer = el("iframe", {
-          src: pdfViewerUrl,
-          class: "mobile-pdf-viewer",
-          title: "PDF Viewer",
-        });
+// Strip Hebrew vowel points and unify quote marks so queries match
+// regardless of how the sheet was typed
+function normalizeSearchText(s) {
+  return s
+    .replace(/[\u0591-\u05C7]/g, "")
+    .replace(/[‘’׳]/g, "'")
+    .replace(/[“”״]/g, '"');
+}
 
-        const downloadBtn = el(
-          "a",
-          {
-            href: `Files/${relativePath}/${pdfFilename}`,
-            download: pdfFilename,
-            class: "pdf-download-btn",
-          },
-          "📄 Download PDF"
-        );
+function searchableText(text) {
+  return normalizeSearchText(text).replace(/\s+/g, " ").trim();
+}
 
-        mobileContainer.appendChild(downloadBtn);
-        mobileContainer.appendChild(pdfViewer);
-        pdfWrap.appendChild(mobileContainer);
-      } else {
-        // Desktop: Use simple relative path
-        const desktopPdfPath = `Files/${relativePath}/${pdfFilename}`;
-        const pdfPathWithParams = `${desktopPdfPath}#navpanes=0&scrollbar=1&toolbar=1&view=FitH`;
-        const pdfEmbed = el("embed", {
-          class: "pdf",
-          src: pdfPathWithParams,
-          type: "application/pdf",
-        });
+// A recording's transcript as one searchable text. offsets holds
+// [character offset, seconds] for each line, to play a match from its line.
+function searchableTranscript(cues) {
+  const lines = [];
+  const offsets = [];
+  let length = 0;
+  for (const [seconds, cueText] of cues) {
+    const line = searchableText(cueText);
+    if (!line) continue;
+    offsets.push([length, seconds]);
+    lines.push(line);
+    length += line.length + 1;
+  }
+  const text = lines.join(" ");
+  return { text, lowerText: text.toLowerCase(), offsets };
+}
+
+function loadSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = loadJSON("search-index.json")
+      .then((entries) =>
+        entries.map((entry) => {
+          const text = normalizeSearchText(entry.text).replace(/\s+/g, " ");
+          const title = entry.path.split("/").map(cap).join(" ");
+          return {
+            path: entry.path,
+            text,
+            lowerText: text.toLowerCase(),
+            lowerTitle: normalizeSearchText(title).toLowerCase(),
+            transcript: entry.transcript
+              ? searchableTranscript(entry.transcript)
+              : null,
+          };
+        })
+      )
+      .catch((error) => {
+        searchIndexPromise = null;
+        throw error;
+      });
+  }
+  return searchIndexPromise;
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  let pos = haystack.indexOf(needle);
+  while (pos !== -1) {
+    count++;
+    pos = haystack.indexOf(needle, pos + needle.length);
+  }
+  return count;
+}
+
+// Where to show a match in source (the sheet or the transcript): the
+// exact phrase if it's there, otherwise the furthest first term
+function matchPosition(source, terms, phrase) {
+  const at = source.lowerText.indexOf(phrase);
+  if (at !== -1) return at;
+  return Math.max(0, ...terms.map((term) => source.lowerText.indexOf(term)));
+}
 
-        pdfWrap.appendChild(pdfEmbed);
+// Every term must appear in the sheet text, the transcript or the title.
+// Title hits and exact phrase hits rank above scattered matches. The
+// snippet comes from the sheet unless only the transcript matches, in
+// which case time is the line to play from.
+function searchEntries(index, query) {
+  const phrase = normalizeSearchText(query).toLowerCase().trim();
+  const terms = phrase.split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  for (const entry of index) {
+    let score = 0;
+    let matchesAll = true;
+
+    for (const term of terms) {
+      const inTitle = entry.lowerTitle.includes(term);
+      const count =
+        countOccurrences(entry.lowerText, term) +
+        (entry.transcript
+          ? countOccurrences(entry.transcript.lowerText, term)
+          : 0);
+      if (!inTitle && count === 0) {
+        matchesAll = false;
+        break;
       }
+      score += (inTitle ? 20 : 0) + Math.min(count, 10);
+    }
+    if (!matchesAll) continue;
+
+    const transcript = entry.transcript;
+    const phraseInSheet = entry.lowerText.includes(phrase);
+    const phraseInTranscript =
+      transcript !== null && transcript.lowerText.includes(phrase);
+    if (terms.length > 1 && (phraseInSheet || phraseInTranscript)) {
+      score += 25;
+    }
 
-      content.appendChild(pdfWrap);
+    let source = entry;
+    let time = null;
+    if (
+      transcript &&
+      !phraseInSheet &&
+      (phraseInTranscript ||
+        !terms.some((term) => entry.lowerText.includes(term)))
+    ) {
+      source = transcript;
+      const at = matchPosition(transcript, terms, phrase);
+      const line = transcript.offsets.filter(([offset]) => offset <= at).pop();
+      time = line ? line[1] : 0;
     }
+
+    results.push({ entry, score, terms, phrase, source, time });
   }
-}
 
-// Mobile navigation toggle functionality
-function initMobileNav() {
-  const navToggle = document.getElementById("nav-toggle");
-  const nav = document.getElementById("nav");
-  const navOverlay = document.getElementById("nav-overlay");
+  return results
+    .sort(
+      (a, b) => b.score - a.score || a.entry.path.localeCompare(b.entry.path)
+    )
+    .slice(0, SEARCH_MAX_RESULTS);
+}
 
-  if (!navToggle) return; // Desktop mode
+// Build a snippet around the best match with the query terms highlighted.
+// Transcript matches are labelled with the time they're at.
+function buildSnippet({ source, terms, phrase, time }) {
+  const matchAt = matchPosition(source, terms, phrase);
 
-  // Check if we should auto-open on mobile
-  function checkAutoOpen() {
-    if (window.innerWidth <= 1024) {
-      // Check if any content is selected (no active nav items)
-      const hasActiveItem = document.querySelector("nav li.active");
-      const isCurrentlyOpen = nav.classList.contains("open");
+  const start = Math.max(0, matchAt - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(
+    source.text.length,
+    matchAt + phrase.length + SEARCH_SNIPPET_RADIUS
+  );
+  const text = source.text.slice(start, end);
+  const lower = source.lowerText.slice(start, end);
 
-      if (!hasActiveItem && !isCurrentlyOpen) {
-        // No content selected and nav not already open - open it
-        setTimeout(openNav, 100); // Small delay to ensure DOM is ready
+  const snippet = el("div", { class: "search-snippet" });
+  if (time !== null) {
+    snippet.appendChild(
+      el("span", { class: "search-time" }, `🎵 ${formatTime(time)}`)
+    );
+  }
+  if (start > 0) snippet.appendChild(document.createTextNode("…"));
+
+  let pos = 0;
+  while (pos < text.length) {
+    // Find the earliest term starting at or after pos
+    let next = -1;
+    let length = 0;
+    for (const term of terms) {
+      const at = lower.indexOf(term, pos);
+      if (at !== -1 && (next === -1 || at < next)) {
+        next = at;
+        length = term.length;
       }
     }
+    if (next === -1) {
+      snippet.appendChild(document.createTextNode(text.slice(pos)));
+      break;
+    }
+    snippet.appendChild(document.createTextNode(text.slice(pos, next)));
+    snippet.appendChild(el("mark", {}, text.slice(next, next + length)));
+    pos = next + length;
   }
 
-  function toggleNav() {
-    const isOpen = nav.classList.contains("open");
+  if (end < source.text.length)
+    snippet.appendChild(document.createTextNode("…"));
+  return snippet;
+}
+
+// Look up a leaf's manifest value from its full path
+function getManifestValue(manifest, pathParts) {
+  return pathParts.reduce(
+    (node, part) => (node && typeof node === "object" ? node[part] : undefined),
+    manifest
+  );
+}
+
+function initSearch(manifest) {
+  const input = document.getElementById("search-input");
+  const resultsContainer = document.getElementById("search-results");
+  const browse = document.getElementById("nav-browse");
+  if (!input) return;
+
+  let debounceTimer = null;
+  let searchId = 0;
+
+  function clearResults() {
+    resultsContainer.innerHTML = "";
+    resultsContainer.hidden = true;
+    browse.hidden = false;
+  }
+
+  async function runSearch() {
+    const query = input.value.trim();
+    const id = ++searchId;
+
+    if (!query) {
+      clearResults();
+      return;
+    }
+
+    resultsContainer.hidden = false;
+    browse.hidden = true;
+
+    let index;
+    try {
+      index = await loadSearchIndex();
+    } catch (error) {
+      console.error(error);
+      resultsContainer.innerHTML = "";
+      resultsContainer.appendChild(
+        el("div", { class: "search-empty" }, "Search is unavailable right now.")
+      );
+      return;
+    }
+
+    // Ignore stale results from an earlier keystroke
+    if (id !== searchId) return;
+
+    const results = searchEntries(index, query);
+    resultsContainer.innerHTML = "";
+
+    if (results.length === 0) {
+      resultsContainer.appendChild(
+        el(
+          "div",
+          { class: "search-empty" },
+          `No sheets or recordings mention "${query}".`
+        )
+      );
+      return;
+    }
+
+    const list = el("ul");
+    for (const result of results) {
+      const pathParts = result.entry.path.split("/");
+      const li = el(
+        "li",
+        { class: "search-result" },
+        el("div", { class: "search-title" }, pathParts.map(cap).join(" › ")),
+        buildSnippet(result)
+      );
+      // A transcript match plays the recording from its line
+      li.addEventListener("click", () => {
+        openEntry(
+          pathParts,
+          getManifestValue(manifest, pathParts),
+          result.time === null ? {} : { time: result.time }
+        );
+      });
+      list.appendChild(li);
+    }
+    resultsContainer.appendChild(list);
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runSearch, 150);
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && input.value) {
+      // Don't let the mobile nav close on the same keypress
+      e.stopPropagation();
+      input.value = "";
+      clearResults();
+    } else if (e.key === "Enter") {
+      const first = resultsContainer.querySelector(".search-result");
+      if (first) first.click();
+    }
+  });
+
+  // Start downloading the index as soon as the user shows interest
+  input.addEventListener("focus", () => {
+    loadSearchIndex().catch(() => {});
+  });
+}
+
+// Render the optional meta.json details (see meta.schema.json) under the
+// title, and for a combined parsha links to the folders of the parshiyos it
+// covers. Passing null clears them.
+function renderEntryMeta(meta, combines = []) {
+  const container = document.getElementById("entry-meta");
+  container.innerHTML = "";
+  container.hidden = true;
+  if (!meta) return;
+
+  const details = [meta.hebrewDate, formatMetaDate(meta.date), meta.speaker]
+    .filter((item) => typeof item === "string" && item.trim() !== "")
+    .map((item) => el("span", { class: "entry-meta-item" }, item));
+  if (details.length > 0) {
+    container.appendChild(el("div", { class: "entry-meta-details" }, details));
+  }
+
+  if (typeof meta.description === "string" && meta.description.trim()) {
+    container.appendChild(
+      el("p", { class: "entry-description" }, meta.description)
+    );
+  }
+
+  if (Array.isArray(meta.tags) && meta.tags.length > 0) {
+    container.appendChild(
+      el(
+        "div",
+        { class: "entry-tags" },
+        meta.tags.map((tag) => el("span", { class: "entry-tag" }, String(tag)))
+      )
+    );
+  }
+
+  if (Array.isArray(meta.related) && meta.related.length > 0) {
+    const links = meta.related.map((navPath) =>
+      navLink(
+        navPath,
+        navPath.replace(/^\//, "").split("/").map(cap).join(" › ")
+      )
+    );
+    container.appendChild(
+      el("div", { class: "entry-related" }, "Related: ", links)
+    );
+  }
+
+  if (Array.isArray(combines) && combines.length > 0) {
+    const links = combines.map((folder) => {
+      const parts = folder.split("/");
+      return navLink(cleanNavPath(parts), cap(parts[parts.length - 1]));
+    });
+    container.appendChild(
+      el("div", { class: "entry-related" }, "Covers: ", links)
+    );
+  }
+
+  container.hidden = container.childElementCount === 0;
+}
+
+// A link to a ?nav= path that opens in place, like picking it in the nav,
+// so the player keeps going. Modified clicks (new tab etc.) are left to
+// the browser.
+function navLink(navPath, label) {
+  const link = el("a", { href: `?nav=${encodeURIComponent(navPath)}` }, label);
+  link.addEventListener("click", (e) => {
+    if (e.button !== 0 || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+      return;
+    }
+    e.preventDefault();
+    if (!navigateToPath(navPath, siteManifest)) return;
+    updateUrlParameter("nav", navPath, true);
+
+    const { keys } = resolveNavPath(navPath, siteManifest);
+    if (isLeaf(getManifestValue(siteManifest, keys))) {
+      closeMobileNav();
+    } else {
+      // A folder is only expanded, so bring the nav into view
+      openMobileNav();
+      const header = findNavHeader(keys.join("/"));
+      if (header) header.scrollIntoView({ block: "nearest" });
+    }
+  });
+  return link;
+}
+
+function formatMetaDate(date) {
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  // Parse as a local date so the day doesn't shift with the time zone
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+// Featured entries: this week's parsha and upcoming Yom Tov, shown above
+// the tree so the current sheets are one tap away
+const CALENDAR_LOCATION_KEY = "calendarLocation";
+
+function isIsraelCalendar() {
+  try {
+    return localStorage.getItem(CALENDAR_LOCATION_KEY) === "israel";
+  } catch (error) {
+    return false;
+  }
+}
+
+function setCalendarLocation(location) {
+  try {
+    localStorage.setItem(CALENDAR_LOCATION_KEY, location);
+  } catch (error) {
+    // Private browsing - the choice just won't be remembered
+  }
+}
+
+// Manifest folders for a week's reading, best match first: the combined
+// folder when the parshiyos are read together, then each parsha's own
+// folder, then combined folders that include it (Matos -> Matos-Maasei)
+function findParshaPaths(manifest, parsha) {
+  const simplify = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const wanted = parsha.map(simplify);
+  const matches = [];
+
+  for (const sefer of Object.keys(manifest)) {
+    const folders = manifest[sefer];
+    if (isLeaf(folders) || cap(sefer) === "Yom Tov") {
+      continue;
+    }
+
+    for (const key of Object.keys(folders)) {
+      const names = key
+        .replace(/^\d+\s*-\s*/, "")
+        .split("-")
+        .map(simplify);
+      if (!names.some((name) => wanted.includes(name))) continue;
+
+      let rank;
+      if (names.join("-") === wanted.join("-")) {
+        rank = 0;
+      } else if (names.length === 1) {
+        rank = 1 + wanted.indexOf(names[0]);
+      } else {
+        rank = 10;
+      }
+      matches.push({ rank, path: [sefer, key] });
+    }
+  }
+
+  return matches.sort((a, b) => a.rank - b.rank).map((match) => match.path);
+}
+
+// The "06 - Yom Tov" folder for a YOM_TOV_DATES name
+function findYomTovPath(manifest, name) {
+  const section = Object.keys(manifest).find((key) => cap(key) === "Yom Tov");
+  if (!section) return null;
+
+  const key = Object.keys(manifest[section]).find(
+    (k) => k.replace(/^\d+\s*-\s*/, "").trim() === name
+  );
+  return key ? [section, key] : null;
+}
+
+// Every leaf below a folder, as [{ pathParts, value }]
+function collectLeaves(node, pathParts) {
+  if (isLeaf(node)) {
+    return [{ pathParts, value: node }];
+  }
+  if (!node || typeof node !== "object") return [];
+
+  return Object.keys(node)
+    .sort()
+    .flatMap((key) => collectLeaves(node[key], [...pathParts, key]));
+}
+
+// Expand a folder in the tree and bring it into view
+function goToFolder(pathParts, manifest) {
+  if (navView !== "tree") setNavView("tree", manifest);
+  const navPath = cleanNavPath(pathParts);
+  if (!navigateToPath(navPath, manifest)) return;
+  updateUrlParameter("nav", navPath, true);
+
+  const header = findNavHeader(pathParts.join("/"));
+  if (header) header.scrollIntoView({ block: "nearest" });
+}
+
+function formatDayFromToday(daysUntil) {
+  if (daysUntil < 0) return "Now";
+  if (daysUntil === 0) return "Today";
+  if (daysUntil === 1) return "Tomorrow";
+  return `In ${daysUntil} days`;
+}
+
+// One button per sheet in the given folders. Labels include the folder
+// name when there is more than one folder (e.g. for a combined week).
+function renderFeaturedEntries(folderPaths, manifest) {
+  const list = el("div", { class: "featured-entries" });
+
+  for (const folderPath of folderPaths) {
+    const folder = getManifestValue(manifest, folderPath);
+    for (const { pathParts, value } of collectLeaves(folder, folderPath)) {
+      const labelParts = pathParts.slice(
+        folderPaths.length > 1 ? folderPath.length - 1 : folderPath.length
+      );
+      const button = el(
+        "button",
+        { type: "button", class: "featured-entry" },
+        labelParts.map(cap).join(" ")
+      );
+      button.addEventListener("click", () => openEntry(pathParts, value));
+      list.appendChild(button);
+    }
+  }
+
+  return list;
+}
+
+// Renders the featured section and returns the folder path for this
+// week's parsha (or null if there is no sheet for it)
+function renderFeatured(manifest) {
+  const container = document.getElementById("nav-featured");
+  if (!container) return null;
+  container.innerHTML = "";
+
+  const today = new Date();
+  const israel = isIsraelCalendar();
+  const week = getWeeklyParsha(today, israel);
+  const parshaPaths = week ? findParshaPaths(manifest, week.parsha) : [];
+
+  const location = el(
+    "select",
+    { class: "calendar-location", "aria-label": "Parsha schedule" },
+    el("option", { value: "diaspora" }, "Diaspora"),
+    el("option", { value: "israel" }, "Israel")
+  );
+  location.value = israel ? "israel" : "diaspora";
+  location.addEventListener("change", () => {
+    setCalendarLocation(location.value);
+    renderFeatured(manifest);
+  });
+
+  container.appendChild(
+    el(
+      "div",
+      { class: "featured-header" },
+      el("span", { class: "featured-label" }, "This Week"),
+      location
+    )
+  );
+
+  if (parshaPaths.length > 0) {
+    const shabbos = dateFromFixed(week.shabbos).toLocaleDateString(undefined, {
+      month: "short",
+      day: "numeric",
+    });
+    const shortcut = el(
+      "button",
+      { type: "button", class: "this-week" },
+      `Parshas ${week.parsha.join("-")}`,
+      el("span", { class: "featured-when" }, `Shabbos, ${shabbos}`)
+    );
+    shortcut.addEventListener("click", () =>
+      goToFolder(parshaPaths[0], manifest)
+    );
+    container.appendChild(shortcut);
+    container.appendChild(renderFeaturedEntries(parshaPaths, manifest));
+  }
+
+  const upcoming = getUpcomingYomTov(today, israel)
+    .map((yomTov) => ({
+      ...yomTov,
+      path: findYomTovPath(manifest, yomTov.name),
+    }))
+    .filter((yomTov) => yomTov.path);
+
+  if (upcoming.length > 0) {
+    container.appendChild(el("div", { class: "featured-label" }, "Coming Up"));
+  }
+
+  for (const yomTov of upcoming) {
+    const button = el(
+      "button",
+      { type: "button", class: "this-week" },
+      yomTov.name,
+      el(
+        "span",
+        { class: "featured-when" },
+        formatDayFromToday(yomTov.daysUntil)
+      )
+    );
+    button.addEventListener("click", () => goToFolder(yomTov.path, manifest));
+    container.appendChild(button);
+    container.appendChild(renderFeaturedEntries([yomTov.path], manifest));
+  }
+
+  return parshaPaths[0] || null;
+}
+
+// Offline support. sw.js caches the app shell; entries and whole sefarim
+// can also be pinned, which downloads their files into PINNED_CACHE.
+const PINNED_CACHE = "zeidyd-pinned";
+const PINNED_KEY = "pinnedPaths";
+const PINNED_STAMP_KEY = "pinnedManifestStamp";
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker
+    .register("sw.js")
+    .catch((error) =>
+      console.warn("Service worker registration failed:", error)
+    );
+}
+
+// Resolves "found", "missing" or "offline" (couldn't check). The service
+// worker answers HEAD requests for pinned files from its cache and
+// returns 503 when it can't reach the network.
+async function checkFile(path) {
+  try {
+    const response = await fetch(path, { method: "HEAD" });
+    if (response.ok) return "found";
+    return response.status === 503 ? "offline" : "missing";
+  } catch (error) {
+    return navigator.onLine ? "missing" : "offline";
+  }
+}
+
+// Pinned manifest paths (full keys, "/"-joined): entries or whole sefarim
+function getPinnedPaths() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PINNED_KEY)) || [];
+    return [...new Set(stored.map(fromStoredPath))];
+  } catch (error) {
+    return [];
+  }
+}
+
+function setPinnedPaths(paths) {
+  try {
+    localStorage.setItem(PINNED_KEY, JSON.stringify(paths.map(toStoredPath)));
+  } catch (error) {
+    console.warn("Could not save pinned entries:", error);
+  }
+}
+
+// The pin covering an entry: the entry itself or its sefer
+function findPin(fullPath) {
+  return (
+    getPinnedPaths().find(
+      (pin) => fullPath === pin || fullPath.startsWith(pin + "/")
+    ) || null
+  );
+}
+
+// Absolute URLs of every file the pins cover
+function pinnedFileUrls() {
+  const urls = new Set();
+  const add = (path) => urls.add(new URL(path, window.location.href).href);
+
+  for (const pin of getPinnedPaths()) {
+    const pinParts = pin.split("/");
+    const node = getManifestValue(siteManifest, pinParts);
+    if (node === undefined) continue; // Renamed or removed since pinning
+
+    for (const { pathParts, value } of collectLeaves(node, pinParts)) {
+      const folder = `Files/${pathParts.join("/")}`;
+      const entry = entryRecord(value);
+      if (entry.legacy) {
+        add(`${folder}/meta.json`);
+        if (entry.base) {
+          add(`${folder}/${entry.base}.pdf`);
+          add(`${folder}/${entry.base}.mp3`);
+        }
+        continue;
+      }
+
+      // Records carry everything from meta.json, so only media is needed.
+      // The hash makes a replaced file a new URL, so it gets re-downloaded
+      // (sw.js ignores the query when serving it).
+      const version = `?v=${entry.hash}`;
+      if (entry.pdf) add(`${folder}/${entry.base}.pdf${version}`);
+      if (entry.mp3) add(`${folder}/${entry.base}.mp3${version}`);
+      if (entry.transcript) {
+        add(`${folder}/${entry.base}.${entry.transcript.format}${version}`);
+      }
+    }
+  }
+
+  return urls;
+}
+
+// Cheap fingerprint so a changed manifest triggers a re-sync
+function manifestStamp(manifest) {
+  const text = JSON.stringify(manifest);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return String(hash);
+}
+
+// Bring the pinned cache in line with the pins: download what's missing
+// and drop files that are no longer pinned
+async function syncPinnedFiles(onProgress) {
+  const cache = await caches.open(PINNED_CACHE);
+  const wanted = pinnedFileUrls();
+  const cached = new Set((await cache.keys()).map((request) => request.url));
+
+  await Promise.all(
+    [...cached]
+      .filter((url) => !wanted.has(url))
+      .map((url) => cache.delete(url))
+  );
+
+  const missing = [...wanted].filter((url) => !cached.has(url));
+  let failed = false;
+  for (let i = 0; i < missing.length; i++) {
+    try {
+      const response = await fetch(missing[i]);
+      // Not every entry has an MP3, so a 404 here is expected
+      if (response.status === 200) await cache.put(missing[i], response);
+    } catch (error) {
+      console.warn("Could not save for offline use:", missing[i], error);
+      failed = true;
+    }
+    if (onProgress) onProgress(i + 1, missing.length);
+  }
+
+  if (!failed) {
+    try {
+      localStorage.setItem(PINNED_STAMP_KEY, manifestStamp(siteManifest));
+    } catch (error) {
+      // Not critical - we'll just sync again next time
+    }
+  }
+}
+
+async function togglePin(path, onProgress) {
+  const pins = getPinnedPaths();
+  if (pins.includes(path)) {
+    setPinnedPaths(pins.filter((pin) => pin !== path));
+  } else {
+    // A sefer pin takes over the pins of entries inside it
+    setPinnedPaths([
+      ...pins.filter((pin) => !pin.startsWith(path + "/")),
+      path,
+    ]);
+    // Ask the browser not to evict pinned files under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist();
+    }
+  }
+
+  await syncPinnedFiles(onProgress);
+  markPinnedEntries();
+}
+
+function markPinnedEntries() {
+  document.querySelectorAll("#nav-tree li[data-path]").forEach((li) => {
+    li.classList.toggle("pinned", findPin(li.dataset.path) !== null);
+  });
+}
+
+// "Save offline" buttons for an entry and its sefer
+function renderOfflineControls(pathParts) {
+  if (!siteManifest || !("caches" in window) || pathParts.length < 2) {
+    return null;
+  }
+
+  const fullPath = pathParts.join("/");
+  const seferPath = pathParts[0];
+  const container = el("div", { class: "offline-controls" });
+
+  function pinButton(path, savedLabel, saveLabel) {
+    const pinned = getPinnedPaths().includes(path);
+    const button = el(
+      "button",
+      {
+        type: "button",
+        class: "offline-btn" + (pinned ? " saved" : ""),
+        title: pinned ? "Remove the offline copy" : "Keep available offline",
+      },
+      pinned ? savedLabel : saveLabel
+    );
+
+    button.addEventListener("click", async () => {
+      container.querySelectorAll("button").forEach((b) => (b.disabled = true));
+      button.textContent = pinned ? "Removing…" : "Saving…";
+      try {
+        await togglePin(path, (done, total) => {
+          button.textContent = `Saving ${done}/${total}…`;
+        });
+      } catch (error) {
+        console.error(error);
+        alert("Could not update the offline copy.");
+      }
+      render();
+    });
+
+    return button;
+  }
+
+  function render() {
+    container.innerHTML = "";
+    const pin = findPin(fullPath);
+
+    if (pin && pin !== fullPath) {
+      const covered = el(
+        "button",
+        { type: "button", class: "offline-btn saved" },
+        "✓ Saved offline"
+      );
+      covered.disabled = true;
+      container.appendChild(covered);
+    } else {
+      container.appendChild(
+        pinButton(fullPath, "✓ Saved offline", "📥 Save offline")
+      );
+    }
+
+    container.appendChild(
+      pinButton(
+        seferPath,
+        `✓ All of ${cap(seferPath)} saved`,
+        `📥 Save all of ${cap(seferPath)}`
+      )
+    );
+  }
+
+  render();
+  return container;
+}
+
+function initOffline(manifest) {
+  markPinnedEntries();
+
+  if (getPinnedPaths().length === 0 || !("caches" in window)) return;
+  if (!navigator.onLine) return;
+
+  // Pick up entries added to a pinned sefer since the last visit
+  let lastStamp = null;
+  try {
+    lastStamp = localStorage.getItem(PINNED_STAMP_KEY);
+  } catch (error) {
+    // Treat as never synced
+  }
+  if (lastStamp !== manifestStamp(manifest)) {
+    syncPinnedFiles()
+      .then(markPinnedEntries)
+      .catch((error) => console.warn("Offline sync failed:", error));
+  }
+}
+
+// Mobile navigation toggle functionality
+function initMobileNav() {
+  const navToggle = document.getElementById("nav-toggle");
+  const nav = document.getElementById("nav");
+  const navOverlay = document.getElementById("nav-overlay");
+
+  if (!navToggle) return; // Desktop mode
+
+  // Check if we should auto-open on mobile
+  function checkAutoOpen() {
+    if (window.innerWidth <= 1024) {
+      // Check if any content is selected (no active nav items)
+      const hasActiveItem = document.querySelector("nav li.active");
+      const isCurrentlyOpen = nav.classList.contains("open");
+
+      if (!hasActiveItem && !isCurrentlyOpen) {
+        // No content selected and nav not already open - open it
+        setTimeout(openNav, 100); // Small delay to ensure DOM is ready
+      }
+    }
+  }
+
+  function toggleNav() {
+    const isOpen = nav.classList.contains("open");
 
     if (isOpen) {
       closeNav();
@@ -532,192 +1820,1424 @@ function initMobileNav() {
     } else {
       checkAutoOpen();
     }
-
-    // Refresh PDF display if switching between mobile/desktop
-    const activeItem = document.querySelector("nav li.active");
-    if (activeItem) {
-      // Small delay to ensure layout has updated
-      setTimeout(() => {
-        activeItem.click();
-      }, 100);
-    }
   });
 
   // Initial position update
   updateNavPosition();
 }
 
-// Audio player functionality
-function setupAudioPlayer(audio, playBtn, progressFill, timeDisplay, speedBtn) {
-  let isPlaying = false;
+// Audio player functionality. There is a single <audio> element, in the
+// mini-player at the bottom of the page, so playback carries on while
+// browsing. It plays through a queue of entries built from the manifest.
+let playerQueue = []; // [{ pathParts, baseFilename }]
+let playerIndex = -1;
+let playerQueueLabel = "";
+let miniPlayer = null;
+
+// Binds the player controls to the audio element. Returns { load } for
+// switching recordings (each one resumes at its saved position and
+// speed), plus togglePlay, skip and seekTo for the other controls.
+function setupAudioPlayer(audio, playBtn, seekSlider, timeDisplay, speedBtn) {
   const speeds = [0.5, 0.75, 1, 1.25, 1.5, 2];
   let currentSpeedIndex = 2; // Start at 1x
-
-  // Play/Pause functionality
-  playBtn.addEventListener("click", () => {
-    if (isPlaying) {
-      audio.pause();
-      playBtn.textContent = "▶️";
-      isPlaying = false;
-    } else {
-      audio.play();
-      playBtn.textContent = "⏸️";
-      isPlaying = true;
-    }
-  });
-
-  // Speed control
-  speedBtn.addEventListener("click", () => {
-    currentSpeedIndex = (currentSpeedIndex + 1) % speeds.length;
+  let entryPath = null;
+  // The recording's length from the manifest, shown until the browser
+  // has read it from the file
+  let knownDuration = 0;
+  let resumeAt = 0;
+  let lastSaved = 0;
+  // While the slider is being dragged it shows where it's being dragged
+  // to, not where playback is
+  let scrubbing = false;
+
+  function applySpeed() {
     const speed = speeds[currentSpeedIndex];
     audio.playbackRate = speed;
     speedBtn.textContent = `${speed}x`;
-  });
+  }
 
-  // Progress tracking
-  audio.addEventListener("timeupdate", () => {
-    const progress = (audio.currentTime / audio.duration) * 100;
-    progressFill.style.width = `${progress || 0}%`;
+  function saveProgress() {
+    // Nothing to save until the recording's length is known
+    if (!entryPath || !(audio.duration > 0)) return;
+    lastSaved = Date.now();
+    saveAudioProgress(entryPath, {
+      baseFilename: currentTrack().baseFilename,
+      time: audio.currentTime || 0,
+      duration: audio.duration,
+      speed: speeds[currentSpeedIndex],
+    });
+  }
 
-    const current = formatTime(audio.currentTime || 0);
-    const duration = formatTime(audio.duration || 0);
-    timeDisplay.textContent = `${current} / ${duration}`;
-  });
+  function updatePlayButton() {
+    playBtn.textContent = audio.paused ? "▶️" : "⏸️";
+  }
 
-  // Progress bar click
-  progressFill.parentElement.addEventListener("click", (e) => {
-    const rect = progressFill.parentElement.getBoundingClientRect();
-    const pos = (e.clientX - rect.left) / rect.width;
-    audio.currentTime = pos * audio.duration;
-  });
+  function showPosition(time) {
+    const duration = audio.duration || knownDuration;
+    seekSlider.max = String(Math.floor(duration));
+    seekSlider.value = String(time);
+    seekSlider.style.setProperty(
+      "--progress",
+      `${duration > 0 ? (time / duration) * 100 : 0}%`
+    );
+    seekSlider.setAttribute(
+      "aria-valuetext",
+      `${formatTime(time)} of ${formatTime(duration)}`
+    );
+    timeDisplay.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+  }
 
-  // Reset when ended
+  function play() {
+    if (!entryPath) return;
+    audio.play().catch((error) => {
+      // Autoplay can be blocked; the play button still works
+      console.warn("Playback did not start:", error);
+      updatePlayButton();
+    });
+  }
+
+  function togglePlay() {
+    if (!entryPath) return;
+    if (audio.paused) {
+      play();
+    } else {
+      audio.pause();
+    }
+  }
+
+  function seekTo(time) {
+    if (!(audio.duration > 0)) {
+      // Not loaded yet; start there once it is
+      if (!entryPath || !knownDuration) return;
+      resumeAt = Math.min(Math.max(0, time), knownDuration);
+      showPosition(resumeAt);
+      return;
+    }
+    audio.currentTime = Math.min(Math.max(0, time), audio.duration);
+    showPosition(audio.currentTime);
+    saveProgress();
+  }
+
+  function skip(seconds) {
+    seekTo(audio.currentTime + seconds);
+  }
+
+  // Play/Pause functionality
+  playBtn.addEventListener("click", togglePlay);
+  audio.addEventListener("play", updatePlayButton);
+
+  // Speed control
+  speedBtn.addEventListener("click", () => {
+    currentSpeedIndex = (currentSpeedIndex + 1) % speeds.length;
+    applySpeed();
+    setPreferredSpeed(speeds[currentSpeedIndex]);
+    saveProgress();
+  });
+
+  // Resume where the listener left off
+  audio.addEventListener("loadedmetadata", () => {
+    // Setting the source can reset the rate in some browsers
+    applySpeed();
+    if (resumeAt > 0 && resumeAt < audio.duration) {
+      audio.currentTime = resumeAt;
+    }
+    resumeAt = 0;
+    showPosition(audio.currentTime);
+  });
+
+  // Progress tracking
+  audio.addEventListener("timeupdate", () => {
+    if (!scrubbing) showPosition(audio.currentTime || 0);
+
+    if (!audio.paused && Date.now() - lastSaved > AUDIO_SAVE_INTERVAL) {
+      saveProgress();
+    }
+  });
+
+  audio.addEventListener("pause", () => {
+    updatePlayButton();
+    if (!audio.ended) saveProgress();
+  });
+
+  // Seek slider: "input" fires while dragging (and for each arrow key),
+  // "change" once it's let go
+  seekSlider.addEventListener("input", () => {
+    scrubbing = true;
+    showPosition(Number(seekSlider.value));
+  });
+  seekSlider.addEventListener("change", () => {
+    scrubbing = false;
+    seekTo(Number(seekSlider.value));
+  });
+
+  // Move on to the next recording in the queue
   audio.addEventListener("ended", () => {
-    playBtn.textContent = "▶️";
-    isPlaying = false;
-    progressFill.style.width = "0%";
+    saveProgress();
+    updatePlayButton();
+    showPosition(0);
+    playNext();
+  });
+
+  // startAt (seconds) overrides the saved position
+  function load(track, autoplay, startAt = null) {
+    // Save the outgoing recording while its position is still readable
+    saveProgress();
+
+    entryPath = track.pathParts.join("/");
+    const saved = getAudioProgress()[entryPath];
+    resumeAt = startAt != null ? startAt : saved ? saved.time : 0;
+    const savedSpeedIndex = speeds.indexOf(
+      saved ? saved.speed : getPreferredSpeed()
+    );
+    currentSpeedIndex = savedSpeedIndex === -1 ? 2 : savedSpeedIndex;
+    applySpeed();
+
+    const { mp3 } = entryRecord(trackEntry(track));
+    knownDuration = (mp3 && mp3.duration) || 0;
+
+    audio.src = trackAudioPath(track);
+    scrubbing = false;
+    showPosition(resumeAt);
+    if (autoplay) play();
+  }
+
+  return { load, play, togglePlay, seekTo, skip };
+}
+
+function currentTrack() {
+  return playerQueue[playerIndex] || null;
+}
+
+function trackAudioPath(track) {
+  return `Files/${track.pathParts.join("/")}/${track.baseFilename}.mp3`;
+}
+
+// The manifest leaf a track came from. Falls back to the old-style
+// filename (so the entry's files get checked) if it has since moved.
+function trackEntry(track) {
+  const value = siteManifest && getManifestValue(siteManifest, track.pathParts);
+  return value !== undefined && isLeaf(value) ? value : track.baseFilename;
+}
+
+// "Yisro 5783" - the path without its sefer
+function trackTitle(track) {
+  return track.pathParts.slice(1).map(cap).join(" ");
+}
+
+// Every entry with a recording, in nav order, for which keep(leaf) holds.
+// Offline, only pinned recordings qualify. Old-style leaves don't say
+// whether there is an MP3, so those are checked (through the service
+// worker, which knows what's pinned).
+async function buildAudioQueue(keep) {
+  const leaves = collectLeaves(siteManifest, []).filter((leaf) => {
+    const entry = entryRecord(leaf.value);
+    return entry.base && (entry.legacy || entry.mp3) && keep(leaf);
+  });
+  const statuses = await Promise.all(
+    leaves.map(({ pathParts, value }) => {
+      const entry = entryRecord(value);
+      if (entry.legacy) {
+        return checkFile(trackAudioPath({ pathParts, baseFilename: value }));
+      }
+      return navigator.onLine || findPin(pathParts.join("/"))
+        ? "found"
+        : "offline";
+    })
+  );
+  return leaves
+    .filter((_, i) => statuses[i] === "found")
+    .map(({ pathParts, value }) => ({
+      pathParts,
+      baseFilename: entryRecord(value).base,
+    }));
+}
+
+function initMiniPlayer() {
+  const container = document.getElementById("mini-player");
+  if (!container) return;
+
+  const audio = document.getElementById("player-audio");
+  miniPlayer = setupAudioPlayer(
+    audio,
+    document.getElementById("player-play"),
+    document.getElementById("player-seek"),
+    container.querySelector(".time-display"),
+    document.getElementById("player-speed")
+  );
+
+  document
+    .getElementById("player-back")
+    .addEventListener("click", () => miniPlayer.skip(-AUDIO_SKIP_SECONDS));
+  document
+    .getElementById("player-forward")
+    .addEventListener("click", () => miniPlayer.skip(AUDIO_SKIP_SECONDS));
+  initMediaSession(audio);
+  initPlayerShortcuts();
+
+  document
+    .getElementById("player-prev")
+    .addEventListener("click", playPrevious);
+  document.getElementById("player-next").addEventListener("click", playNext);
+
+  document.getElementById("player-title").addEventListener("click", () => {
+    const track = currentTrack();
+    if (track) openEntry(track.pathParts, trackEntry(track));
+  });
+
+  const queueList = document.getElementById("player-queue");
+  document
+    .getElementById("player-queue-toggle")
+    .addEventListener("click", () => {
+      queueList.hidden = !queueList.hidden;
+    });
+
+  const linkBtn = document.getElementById("player-link");
+  linkBtn.addEventListener("click", () => {
+    const track = currentTrack();
+    if (!track) return;
+    const url = entryPageUrl(track.pathParts);
+    url.searchParams.set("t", formatTime(audio.currentTime || 0));
+    copyLink(url.href, linkBtn);
+  });
+
+  document.getElementById("player-close").addEventListener("click", () => {
+    audio.pause();
+    container.hidden = true;
+    queueList.hidden = true;
+  });
+
+  const captionsBtn = document.getElementById("player-captions");
+  captionsBtn.setAttribute("aria-pressed", String(getShowCaptions()));
+  captionsBtn.addEventListener("click", () => {
+    const show = !getShowCaptions();
+    setShowCaptions(show);
+    captionsBtn.setAttribute("aria-pressed", String(show));
+    updateTranscriptPosition(audio.currentTime || 0);
+  });
+  audio.addEventListener("timeupdate", () =>
+    updateTranscriptPosition(audio.currentTime)
+  );
+  audio.addEventListener("seeked", () =>
+    updateTranscriptPosition(audio.currentTime)
+  );
+
+  // A recording that fails to load is skipped rather than stopping the queue
+  audio.addEventListener("error", () => {
+    const track = currentTrack();
+    if (!track) return;
+    console.warn("Could not play:", trackAudioPath(track));
+    if (playerIndex < playerQueue.length - 1) playNext();
+  });
+}
+
+function playQueue(queue, startIndex, label) {
+  if (!miniPlayer || queue.length === 0) return;
+  playerQueue = queue;
+  playerIndex = Math.min(Math.max(0, startIndex), queue.length - 1);
+  playerQueueLabel = label;
+  playCurrent();
+}
+
+// Play one entry, from startAt seconds if given. If it is already in the
+// queue, jump to it there so the rest of the queue still follows.
+function playEntry(track, startAt = null) {
+  if (!miniPlayer) return;
+  const path = track.pathParts.join("/");
+  const index = playerQueue.findIndex((t) => t.pathParts.join("/") === path);
+  if (index === -1) {
+    playerQueue = [track];
+    playerIndex = 0;
+    playerQueueLabel = trackTitle(track);
+  } else {
+    playerIndex = index;
+  }
+  playCurrent(startAt);
+}
+
+function playCurrent(startAt = null) {
+  const track = currentTrack();
+  if (!track) return;
+
+  document.getElementById("mini-player").hidden = false;
+  document.getElementById("player-title").textContent = trackTitle(track);
+  miniPlayer.load(track, true, startAt);
+  loadPlayerCues(track);
+  updateMediaSession(track);
+  renderPlayerQueue();
+}
+
+// Lock screen and notification controls (the Media Session API)
+function initMediaSession(audio) {
+  if (!("mediaSession" in navigator)) return;
+  const session = navigator.mediaSession;
+
+  const handlers = {
+    play: () => miniPlayer.play(),
+    pause: () => audio.pause(),
+    seekbackward: (details) =>
+      miniPlayer.skip(-(details.seekOffset || AUDIO_SKIP_SECONDS)),
+    seekforward: (details) =>
+      miniPlayer.skip(details.seekOffset || AUDIO_SKIP_SECONDS),
+    seekto: (details) => miniPlayer.seekTo(details.seekTime),
+    previoustrack: playPrevious,
+    nexttrack: playNext,
+  };
+  for (const [action, handler] of Object.entries(handlers)) {
+    try {
+      session.setActionHandler(action, handler);
+    } catch (error) {
+      // Action not supported by this browser
+    }
+  }
+
+  // Keep the lock screen's position bar in step with the recording
+  function updatePositionState() {
+    if (!session.setPositionState || !(audio.duration > 0)) return;
+    try {
+      session.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, audio.duration),
+      });
+    } catch (error) {
+      console.warn("Could not update media position:", error);
+    }
+  }
+
+  ["loadedmetadata", "ratechange", "seeked"].forEach((type) =>
+    audio.addEventListener(type, updatePositionState)
+  );
+  audio.addEventListener("play", () => {
+    session.playbackState = "playing";
+    updatePositionState();
+  });
+  audio.addEventListener("pause", () => {
+    session.playbackState = "paused";
+  });
+}
+
+// Title ("Yisro 5783", or the entry's own title), sefer and artwork for
+// the lock screen
+function updateMediaSession(track) {
+  if (!("mediaSession" in navigator) || typeof MediaMetadata === "undefined") {
+    return;
+  }
+
+  const entry = entryRecord(trackEntry(track));
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: (entry.meta && entry.meta.title) || trackTitle(track),
+    artist: "Zeidy D",
+    album: cap(track.pathParts[0]),
+    artwork: [
+      { src: "favicon.png", sizes: "225x225", type: "image/png" },
+      { src: "Thumbnail.jpg", sizes: "1280x720", type: "image/jpeg" },
+    ],
   });
 }
 
+// Space plays/pauses and the left/right arrows skip while the player is
+// open, unless the key belongs to something else: typing, buttons and
+// links, the nav tree or the PDF viewer
+function initPlayerShortcuts() {
+  document.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (!miniPlayer || document.getElementById("mini-player").hidden) return;
+    if (
+      e.target.closest &&
+      e.target.closest(
+        'input, textarea, select, button, a, [contenteditable], [role="treeitem"], .pdf-viewer'
+      )
+    ) {
+      return;
+    }
+
+    if (e.key === " ") {
+      miniPlayer.togglePlay();
+    } else if (e.key === "ArrowLeft") {
+      miniPlayer.skip(-AUDIO_SKIP_SECONDS);
+    } else if (e.key === "ArrowRight") {
+      miniPlayer.skip(AUDIO_SKIP_SECONDS);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+}
+
+function playNext() {
+  if (playerIndex < playerQueue.length - 1) {
+    playerIndex++;
+    playCurrent();
+  }
+}
+
+// Back to the start of the recording, or to the previous one if we're
+// already near the start
+function playPrevious() {
+  const audio = document.getElementById("player-audio");
+  if (audio.currentTime > 3 || playerIndex === 0) {
+    audio.currentTime = 0;
+  } else {
+    playerIndex--;
+    playCurrent();
+  }
+}
+
+function renderPlayerQueue() {
+  const queueList = document.getElementById("player-queue");
+  const position = document.getElementById("player-position");
+  queueList.innerHTML = "";
+
+  document.getElementById("player-prev").disabled = playerQueue.length === 0;
+  document.getElementById("player-next").disabled =
+    playerIndex >= playerQueue.length - 1;
+  document.getElementById("player-queue-toggle").hidden =
+    playerQueue.length < 2;
+  position.textContent =
+    playerQueue.length > 1
+      ? `${playerQueueLabel} · ${playerIndex + 1} of ${playerQueue.length}`
+      : "";
+
+  playerQueue.forEach((track, index) => {
+    const li = el(
+      "li",
+      {
+        class: index === playerIndex ? "current" : "",
+        onclick: () => {
+          playerIndex = index;
+          playCurrent();
+        },
+      },
+      trackTitle(track)
+    );
+    queueList.appendChild(li);
+  });
+}
+
+// "Play all <label>" button. Builds the queue when clicked and starts it
+// at the given entry (or at the beginning if that entry isn't in it).
+function playAllButton(label, track, buildQueue) {
+  const text = `▶️ Play all ${label}`;
+  const button = el("button", { class: "audio-btn play-all-btn" }, text);
+
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    button.textContent = "Loading…";
+    let queue = [];
+    try {
+      queue = await buildQueue();
+    } catch (error) {
+      console.error("Could not build the queue:", error);
+    }
+
+    button.disabled = false;
+    button.textContent = queue.length > 0 ? text : "No recordings found";
+    const path = track.pathParts.join("/");
+    const start = queue.findIndex((t) => t.pathParts.join("/") === path);
+    playQueue(queue, Math.max(0, start), label);
+  });
+
+  return button;
+}
+
+// Transcripts: an optional <base>.vtt or <base>.srt next to the MP3,
+// listed in the entry record by build-manifest.js. The entry page shows
+// every line, highlighting the one being played; the mini-player shows it
+// as a caption.
+const CAPTIONS_KEY = "showCaptions";
+
+// Parsed transcripts by URL, so the page and the mini-player share one
+// download
+const transcriptCache = new Map();
+
+// Cues of the recording in the mini-player, once its transcript has loaded
+let playerCues = null;
+
+// The transcript on the entry page: { path, cues, list }
+let pageTranscript = null;
+
+function transcriptPath(pathParts, entry) {
+  if (!entry.base || !entry.transcript) return null;
+  return `Files/${pathParts.join("/")}/${entry.base}.${
+    entry.transcript.format
+  }`;
+}
+
+function loadTranscript(path) {
+  if (!transcriptCache.has(path)) {
+    const request = fetch(path)
+      .then((res) => {
+        if (!res.ok) throw new Error(`${path}: ${res.status}`);
+        return res.text();
+      })
+      .then(parseTranscript)
+      .catch((error) => {
+        transcriptCache.delete(path);
+        throw error;
+      });
+    transcriptCache.set(path, request);
+  }
+  return transcriptCache.get(path);
+}
+
+// Index of the last cue starting at or before time, or -1
+function cueIndexAt(cues, time) {
+  let index = -1;
+  while (index + 1 < cues.length && cues[index + 1].start <= time) index++;
+  return index;
+}
+
+// Captions are on unless turned off
+function getShowCaptions() {
+  try {
+    return localStorage.getItem(CAPTIONS_KEY) !== "false";
+  } catch (error) {
+    return true;
+  }
+}
+
+function setShowCaptions(show) {
+  try {
+    localStorage.setItem(CAPTIONS_KEY, String(show));
+  } catch (error) {
+    console.warn("Could not save caption setting:", error);
+  }
+}
+
+// Fetches the transcript for the track that just started, for captions
+function loadPlayerCues(track) {
+  playerCues = null;
+  const captionsBtn = document.getElementById("player-captions");
+  const path = transcriptPath(track.pathParts, entryRecord(trackEntry(track)));
+  captionsBtn.hidden = !path;
+  updateTranscriptPosition(0);
+  if (!path) return;
+
+  loadTranscript(path)
+    .then((cues) => {
+      if (currentTrack() !== track) return;
+      playerCues = cues;
+      updateTranscriptPosition(
+        document.getElementById("player-audio").currentTime || 0
+      );
+    })
+    .catch((error) => console.warn("Could not load transcript:", error));
+}
+
+// Shows the line being played in the mini-player caption and highlights
+// it in the entry page's transcript, if that is the entry playing
+function updateTranscriptPosition(time) {
+  const caption = document.getElementById("player-caption");
+  const cue = playerCues && playerCues[cueIndexAt(playerCues, time)];
+  const text = cue && time < cue.end ? cue.text : "";
+  caption.textContent = text;
+  caption.hidden = !text || !getShowCaptions();
+
+  const track = currentTrack();
+  if (
+    !pageTranscript ||
+    !track ||
+    track.pathParts.join("/") !== pageTranscript.path
+  ) {
+    return;
+  }
+
+  const { cues, list } = pageTranscript;
+  const index = cueIndexAt(cues, time);
+  const previous = list.querySelector(".current");
+  const current = index === -1 ? null : list.children[index];
+  if (previous === current) return;
+
+  if (previous) {
+    previous.classList.remove("current");
+    previous.removeAttribute("aria-current");
+  }
+  if (!current) return;
+  current.classList.add("current");
+  current.setAttribute("aria-current", "true");
+
+  // Keep the line in view without scrolling the page
+  const top = current.offsetTop;
+  if (
+    top < list.scrollTop ||
+    top + current.offsetHeight > list.scrollTop + list.clientHeight
+  ) {
+    list.scrollTop = top - list.clientHeight / 3;
+  }
+}
+
+// The transcript under an entry's audio. Clicking a line plays the
+// recording from there.
+function renderTranscript(track, entry) {
+  const path = transcriptPath(track.pathParts, entry);
+  if (!path) return null;
+
+  const entryPath = track.pathParts.join("/");
+  const list = el("ol", { class: "transcript-list" });
+  const status = el("p", { class: "transcript-status" }, "Loading transcript…");
+  const panel = el(
+    "details",
+    { class: "transcript", open: "" },
+    el("summary", {}, "Transcript"),
+    status,
+    list
+  );
+
+  loadTranscript(path)
+    .then((cues) => {
+      status.remove();
+      for (const cue of cues) {
+        const button = el(
+          "button",
+          { type: "button", class: "transcript-cue" },
+          el("span", { class: "transcript-time" }, formatTime(cue.start)),
+          el("span", { class: "transcript-text" }, cue.text)
+        );
+        button.addEventListener("click", () => {
+          const current = currentTrack();
+          if (current && current.pathParts.join("/") === entryPath) {
+            const audio = document.getElementById("player-audio");
+            miniPlayer.seekTo(cue.start);
+            if (audio.paused) miniPlayer.togglePlay();
+          } else {
+            playEntry(track, cue.start);
+          }
+        });
+        list.appendChild(el("li", {}, button));
+      }
+
+      // Unless another entry has been opened meanwhile
+      if (list.isConnected) {
+        pageTranscript = { path: entryPath, cues, list };
+        updateTranscriptPosition(
+          document.getElementById("player-audio").currentTime || 0
+        );
+      }
+    })
+    .catch((error) => {
+      console.warn("Could not load transcript:", error);
+      status.textContent = "The transcript couldn't be loaded.";
+    });
+
+  return panel;
+}
+
+// Reads &t= values: "12:34", "1:02:03", "754" or "1m30s". Returns seconds,
+// or null if the value isn't a time.
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = value.trim();
+
+  if (/^\d+(:\d{1,2}){0,2}$/.test(text)) {
+    return text
+      .split(":")
+      .reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  const units = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+  if (units && text) {
+    const [, h = 0, m = 0, s = 0] = units;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s);
+  }
+
+  return null;
+}
+
+// Copy a link to the clipboard, briefly showing a tick on the button
+async function copyLink(url, button) {
+  try {
+    await navigator.clipboard.writeText(url);
+    const label = button.textContent;
+    button.textContent = "✓";
+    setTimeout(() => (button.textContent = label), 1500);
+  } catch (error) {
+    // No clipboard access (e.g. plain http) - let the user copy it
+    window.prompt("Copy this link:", url);
+  }
+}
+
+// "42 min" or "1 h 5 min", for lengths shown before playing
+function formatMinutes(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
 function formatTime(seconds) {
   const mins = Math.floor(seconds / 60);
   const secs = Math.floor(seconds % 60);
   return `${mins}:${secs.toString().padStart(2, "0")}`;
 }
 
+// Playback progress, kept per recording so players can resume and the nav
+// can offer "Continue listening". Stored keyed by the entry's ?nav= path
+// (see toStoredPath), but read and written by manifest path.
+const AUDIO_PROGRESS_KEY = "audioProgress";
+const AUDIO_SPEED_KEY = "audioSpeed";
+const AUDIO_SAVE_INTERVAL = 5000; // ms between saves while playing
+const AUDIO_MIN_PROGRESS = 5; // seconds in before a recording counts as started
+const AUDIO_END_MARGIN = 10; // seconds from the end that count as finished
+const AUDIO_MAX_RECORDS = 50;
+const AUDIO_SKIP_SECONDS = 15; // skip buttons, arrow keys and lock screen
+const CONTINUE_LISTENING_MAX = 5;
+
+function getAudioProgress() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUDIO_PROGRESS_KEY)) || {};
+    // An old and a new key can name the same entry; keep the latest
+    const progress = {};
+    for (const [path, record] of Object.entries(stored)) {
+      const fullPath = fromStoredPath(path);
+      const seen = progress[fullPath];
+      if (!seen || record.updated > seen.updated) progress[fullPath] = record;
+    }
+    return progress;
+  } catch (error) {
+    return {};
+  }
+}
+
+function setAudioProgress(progress) {
+  const stored = {};
+  for (const [path, record] of Object.entries(progress)) {
+    stored[toStoredPath(path)] = record;
+  }
+  try {
+    localStorage.setItem(AUDIO_PROGRESS_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn("Could not save playback position:", error);
+  }
+}
+
+// Records where a recording is up to. Barely started or finished ones are
+// stored at 0:00, which keeps their speed but drops them from the list.
+function saveAudioProgress(entryPath, record) {
+  const progress = getAudioProgress();
+  const finished =
+    record.duration > 0 && record.time >= record.duration - AUDIO_END_MARGIN;
+  const time = finished || record.time < AUDIO_MIN_PROGRESS ? 0 : record.time;
+  progress[entryPath] = { ...record, time, updated: Date.now() };
+
+  // Only keep the most recently played recordings
+  Object.keys(progress)
+    .sort((a, b) => progress[b].updated - progress[a].updated)
+    .slice(AUDIO_MAX_RECORDS)
+    .forEach((path) => delete progress[path]);
+
+  setAudioProgress(progress);
+  renderContinueListening();
+}
+
+// Speed used for recordings that haven't been played yet
+function getPreferredSpeed() {
+  try {
+    return Number(localStorage.getItem(AUDIO_SPEED_KEY)) || 1;
+  } catch (error) {
+    return 1;
+  }
+}
+
+function setPreferredSpeed(speed) {
+  try {
+    localStorage.setItem(AUDIO_SPEED_KEY, String(speed));
+  } catch (error) {
+    // Not critical - the next recording just starts at 1x
+  }
+}
+
+// Partly played recordings at the top of the nav, newest first
+function renderContinueListening() {
+  const container = document.getElementById("nav-continue");
+  if (!container || !siteManifest) return;
+  container.innerHTML = "";
+
+  const progress = getAudioProgress();
+  const paths = Object.keys(progress)
+    .filter(
+      (path) =>
+        progress[path].time > 0 &&
+        getManifestValue(siteManifest, path.split("/")) !== undefined
+    )
+    .sort((a, b) => progress[b].updated - progress[a].updated)
+    .slice(0, CONTINUE_LISTENING_MAX);
+
+  container.hidden = paths.length === 0;
+  if (paths.length === 0) return;
+
+  container.appendChild(
+    el("div", { class: "featured-label" }, "Continue Listening")
+  );
+
+  for (const path of paths) {
+    const { time, duration, baseFilename } = progress[path];
+    const pathParts = path.split("/");
+    const percent = duration > 0 ? Math.min(100, (time / duration) * 100) : 0;
+
+    const open = el(
+      "button",
+      {
+        type: "button",
+        class: "continue-open",
+        onclick: () => {
+          const track = { pathParts, baseFilename };
+          openEntry(pathParts, trackEntry(track));
+          playEntry(track);
+        },
+      },
+      el(
+        "span",
+        { class: "continue-title" },
+        pathParts.slice(1).map(cap).join(" ")
+      ),
+      el(
+        "span",
+        { class: "continue-progress" },
+        el("span", {
+          class: "continue-progress-fill",
+          style: `width: ${percent}%`,
+        })
+      ),
+      el(
+        "span",
+        { class: "continue-time" },
+        `${formatTime(time)} / ${formatTime(duration)}`
+      )
+    );
+
+    const dismiss = el(
+      "button",
+      {
+        type: "button",
+        class: "continue-dismiss",
+        title: "Remove from Continue Listening",
+        "aria-label": "Remove from Continue Listening",
+        onclick: () => {
+          const current = getAudioProgress();
+          if (current[path]) current[path].time = 0;
+          setAudioProgress(current);
+          renderContinueListening();
+        },
+      },
+      "✕"
+    );
+
+    container.appendChild(el("div", { class: "continue-item" }, open, dismiss));
+  }
+}
+
+// Favorites and recently viewed entries, in collapsible sections at the top
+// of the nav. Both hold full manifest paths, newest first (stored as ?nav=
+// paths, see toStoredPath). Recent entries also keep when they were
+// opened, so an imported list merges in order.
+const FAVORITES_KEY = "favoritePaths";
+const RECENT_KEY = "recentEntries";
+const SAVED_SECTIONS_KEY = "savedSectionsOpen";
+const SAVED_FILE_TYPE = "zeidyd-saved-entries";
+const RECENT_MAX = 10;
+
+function getFavoritePaths() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FAVORITES_KEY)) || [];
+    return [...new Set(stored.map(fromStoredPath))];
+  } catch (error) {
+    return [];
+  }
+}
+
+function setFavoritePaths(paths) {
+  try {
+    localStorage.setItem(
+      FAVORITES_KEY,
+      JSON.stringify(paths.map(toStoredPath))
+    );
+  } catch (error) {
+    console.warn("Could not save favorites:", error);
+  }
+}
+
+// [{ path, viewed }]
+function getRecentEntries() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_KEY)) || [];
+    const seen = new Set();
+    return stored
+      .map((entry) => ({ ...entry, path: fromStoredPath(entry.path) }))
+      .filter((entry) => !seen.has(entry.path) && seen.add(entry.path));
+  } catch (error) {
+    return [];
+  }
+}
+
+function setRecentEntries(entries) {
+  const stored = entries.map((entry) => ({
+    ...entry,
+    path: toStoredPath(entry.path),
+  }));
+  try {
+    localStorage.setItem(RECENT_KEY, JSON.stringify(stored));
+  } catch (error) {
+    // Not critical - the entry just doesn't show under Recent
+  }
+}
+
+// { favorites: bool, recent: bool }; sections start open
+function getSavedSectionsOpen() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_SECTIONS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function setSavedSectionOpen(name, open) {
+  try {
+    const sections = getSavedSectionsOpen();
+    sections[name] = open;
+    localStorage.setItem(SAVED_SECTIONS_KEY, JSON.stringify(sections));
+  } catch (error) {
+    // Not critical
+  }
+}
+
+function toggleFavorite(fullPath) {
+  const favorites = getFavoritePaths();
+  setFavoritePaths(
+    favorites.includes(fullPath)
+      ? favorites.filter((path) => path !== fullPath)
+      : [fullPath, ...favorites]
+  );
+  renderSavedEntries();
+}
+
+// Called by showContent for every entry opened
+function addRecentEntry(fullPath) {
+  const recent = getRecentEntries().filter((entry) => entry.path !== fullPath);
+  recent.unshift({ path: fullPath, viewed: Date.now() });
+  setRecentEntries(recent.slice(0, RECENT_MAX));
+  renderSavedEntries();
+}
+
+function setFavoriteButtonState(button, starred) {
+  button.classList.toggle("starred", starred);
+  button.textContent = starred ? "★ Favorite" : "☆ Add to favorites";
+  button.title = starred ? "Remove from favorites" : "Add to favorites";
+}
+
+// Star button for the entry being shown
+function renderFavoriteButton(fullPath) {
+  const button = el("button", {
+    type: "button",
+    class: "favorite-btn",
+    "data-path": fullPath,
+    onclick: () => toggleFavorite(fullPath),
+  });
+  setFavoriteButtonState(button, getFavoritePaths().includes(fullPath));
+  return button;
+}
+
+// The whole list as a file, to carry it to another device
+function exportSavedEntries() {
+  const data = {
+    type: SAVED_FILE_TYPE,
+    version: 1,
+    exported: new Date().toISOString(),
+    favorites: getFavoritePaths(),
+    recent: getRecentEntries(),
+  };
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+  );
+  const link = el("a", { href: url, download: "zeidyd-favorites.json" });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Merges an exported file into this device's lists
+async function importSavedEntries(file) {
+  let data = null;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    // Reported below
+  }
+  if (
+    !data ||
+    data.type !== SAVED_FILE_TYPE ||
+    !Array.isArray(data.favorites)
+  ) {
+    alert("That file isn't a favorites list exported from this site.");
+    return;
+  }
+
+  const isPath = (path) => typeof path === "string" && path !== "";
+  const favorites = getFavoritePaths();
+  // Files from older versions hold manifest paths, newer ones ?nav= paths
+  for (const path of data.favorites.filter(isPath).map(fromStoredPath)) {
+    if (!favorites.includes(path)) favorites.push(path);
+  }
+  setFavoritePaths(favorites);
+
+  // Keep the latest view of each entry
+  const latest = new Map();
+  const imported = Array.isArray(data.recent) ? data.recent : [];
+  for (const entry of [...getRecentEntries(), ...imported]) {
+    if (!entry || !isPath(entry.path) || typeof entry.viewed !== "number") {
+      continue;
+    }
+    const path = fromStoredPath(entry.path);
+    const seen = latest.get(path);
+    if (!seen || entry.viewed > seen.viewed) {
+      latest.set(path, { path, viewed: entry.viewed });
+    }
+  }
+  setRecentEntries(
+    [...latest.values()]
+      .sort((a, b) => b.viewed - a.viewed)
+      .slice(0, RECENT_MAX)
+  );
+
+  renderSavedEntries();
+}
+
+function renderSavedSection(name, label, paths, removeLabel, onRemove) {
+  const section = el("details", { class: "saved-section" });
+  section.open = getSavedSectionsOpen()[name] !== false;
+  section.addEventListener("toggle", () =>
+    setSavedSectionOpen(name, section.open)
+  );
+  section.appendChild(
+    el(
+      "summary",
+      { class: "featured-label" },
+      label,
+      el("span", { class: "saved-count" }, String(paths.length))
+    )
+  );
+
+  const list = el("div", { class: "saved-list" });
+  for (const path of paths) {
+    const pathParts = path.split("/");
+    const open = el(
+      "button",
+      {
+        type: "button",
+        class: "saved-open",
+        onclick: () =>
+          openEntry(pathParts, getManifestValue(siteManifest, pathParts)),
+      },
+      pathParts.slice(1).map(cap).join(" ")
+    );
+    const remove = el(
+      "button",
+      {
+        type: "button",
+        class: "continue-dismiss",
+        title: removeLabel,
+        "aria-label": removeLabel,
+        onclick: () => onRemove(path),
+      },
+      "✕"
+    );
+    list.appendChild(el("div", { class: "continue-item" }, open, remove));
+  }
+  section.appendChild(list);
+  return section;
+}
+
+// Favorites and Recent at the top of the nav, skipping entries that are no
+// longer in the manifest
+function renderSavedEntries() {
+  const container = document.getElementById("nav-saved");
+  if (!container || !siteManifest) return;
+  container.innerHTML = "";
+
+  const inManifest = (path) =>
+    isLeaf(getManifestValue(siteManifest, path.split("/")));
+  const favorites = getFavoritePaths().filter(inManifest);
+  const recent = getRecentEntries()
+    .map((entry) => entry.path)
+    .filter(inManifest);
+
+  const favoritesSection = renderSavedSection(
+    "favorites",
+    "Favorites",
+    favorites,
+    "Remove from favorites",
+    toggleFavorite
+  );
+  if (favorites.length === 0) {
+    favoritesSection.appendChild(
+      el(
+        "p",
+        { class: "saved-empty" },
+        "Star a sheet with ☆ Add to favorites to keep it here."
+      )
+    );
+  }
+
+  const importInput = el("input", {
+    type: "file",
+    accept: ".json,application/json",
+    hidden: "",
+    onchange: () => {
+      if (importInput.files[0]) importSavedEntries(importInput.files[0]);
+    },
+  });
+  favoritesSection.appendChild(
+    el(
+      "div",
+      { class: "saved-actions" },
+      el(
+        "button",
+        {
+          type: "button",
+          class: "saved-action",
+          title: "Save favorites and recent entries to a file",
+          onclick: exportSavedEntries,
+        },
+        "Export"
+      ),
+      el(
+        "button",
+        {
+          type: "button",
+          class: "saved-action",
+          title: "Add favorites from an exported file",
+          onclick: () => importInput.click(),
+        },
+        "Import"
+      ),
+      importInput
+    )
+  );
+  container.appendChild(favoritesSection);
+
+  if (recent.length > 0) {
+    const recentSection = renderSavedSection(
+      "recent",
+      "Recent",
+      recent,
+      "Remove from Recent",
+      (path) => {
+        setRecentEntries(
+          getRecentEntries().filter((entry) => entry.path !== path)
+        );
+        renderSavedEntries();
+      }
+    );
+    recentSection.appendChild(
+      el(
+        "div",
+        { class: "saved-actions" },
+        el(
+          "button",
+          {
+            type: "button",
+            class: "saved-action",
+            onclick: () => {
+              setRecentEntries([]);
+              renderSavedEntries();
+            },
+          },
+          "Clear"
+        )
+      )
+    );
+    container.appendChild(recentSection);
+  }
+
+  // Keep the star on the entry being shown in step
+  const favoritePaths = getFavoritePaths();
+  document.querySelectorAll(".favorite-btn").forEach((button) => {
+    setFavoriteButtonState(button, favoritePaths.includes(button.dataset.path));
+  });
+}
+
 // URL parameter navigation support
 function getUrlParameter(name) {
   const urlParams = new URLSearchParams(window.location.search);
   return urlParams.get(name);
 }
 
-function updateUrlParameter(name, value) {
+// Parameters that point inside the current entry (&t=12:34, &page=3).
+// They are dropped whenever nav changes.
+const ENTRY_URL_PARAMS = ["t", "page"];
+
+// Set or clear a URL parameter. push adds a history entry (opening a
+// sheet); otherwise the current entry is updated in place.
+function updateUrlParameter(name, value, push = false) {
   const url = new URL(window.location);
+  if (name === "nav" && value !== url.searchParams.get("nav")) {
+    ENTRY_URL_PARAMS.forEach((param) => url.searchParams.delete(param));
+  }
   if (value) {
     url.searchParams.set(name, value);
   } else {
     url.searchParams.delete(name);
   }
-  window.history.replaceState({}, "", url);
+
+  const state = { expanded: getExpandedPaths() };
+  if (push && url.href !== window.location.href) {
+    window.history.pushState(state, "", url);
+  } else {
+    window.history.replaceState(state, "", url);
+  }
+}
+
+// Record the current nav expansion in the current history entry
+function saveNavState() {
+  window.history.replaceState(
+    { ...window.history.state, expanded: getExpandedPaths() },
+    "",
+    window.location.href
+  );
+}
+
+// Resolve a ?nav= path such as "/Shemos/Yisro/5783" to manifest keys.
+// Parts match keys without their number prefix, ignoring case, spaces and
+// dashes; an exact match wins over a loose one. Returns the keys matched
+// before the first part that didn't, and whether every part matched.
+function resolveNavPath(targetPath, manifest) {
+  const parts = targetPath
+    .split("/")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const clean = (key) => key.replace(/^\d+\s*-\s*/, "").toLowerCase();
+  const loose = (s) => s.replace(/[-\s]/g, "");
+
+  const keys = [];
+  let current = manifest;
+  for (const part of parts) {
+    if (!current || typeof current !== "object" || isLeaf(current)) break;
+
+    const wanted = part.toLowerCase();
+    const candidates = Object.keys(current);
+    const key =
+      candidates.find((k) => clean(k) === wanted) ||
+      candidates.find((k) => loose(clean(k)) === loose(wanted));
+    if (!key) break;
+
+    keys.push(key);
+    current = current[key];
+  }
+
+  return { keys, complete: parts.length > 0 && keys.length === parts.length };
 }
 
-function navigateToPath(targetPath, manifest) {
+// Show the entry or expand the folder a ?nav= path points to, passing
+// options ({ time, page }) on to showContent. Doesn't touch the URL.
+// Returns false if the path doesn't fully resolve.
+function navigateToPath(targetPath, manifest, options = {}) {
   console.log("Navigating to path:", targetPath);
 
-  // Remove leading slash and split path
-  const cleanPath = targetPath.replace(/^\//, "");
-  if (!cleanPath) return false;
+  const { keys, complete } = resolveNavPath(targetPath, manifest);
+  if (!complete) {
+    console.warn("Path not found:", targetPath);
+    expandNavPath(keys);
+    return false;
+  }
 
-  const pathParts = cleanPath.split("/").map((part) => part.trim());
-  let current = manifest;
-  let fullPath = [];
-
-  // Traverse the manifest structure and expand accordions along the way
-  for (let i = 0; i < pathParts.length; i++) {
-    const part = pathParts[i];
-
-    // Find matching key (handle prefixes and capitalization)
-    const matchingKey = Object.keys(current).find((key) => {
-      const cleanKey = key.replace(/^\d+\s*-\s*/, "").toLowerCase();
-      const cleanPart = part.toLowerCase();
-      return (
-        cleanKey === cleanPart ||
-        cleanKey.replace(/[-\s]/g, "") === cleanPart.replace(/[-\s]/g, "")
-      );
-    });
+  const value = getManifestValue(manifest, keys);
+  if (isLeaf(value)) {
+    const fullPath = keys.join("/");
+    showContent(fullPath, value, options);
+    markActiveEntry(fullPath);
+  } else {
+    expandNavPath(keys);
+  }
+  return true;
+}
 
-    if (matchingKey) {
-      fullPath.push(matchingKey);
-      current = current[matchingKey];
-
-      // Expand this level in the accordion (level-specific)
-      setTimeout(() => {
-        const currentDepth = i; // 0 = sefer level, 1 = parsha level, etc.
-        const headerTag = currentDepth === 0 ? "h2" : "h3";
-        const headers = document.querySelectorAll(`nav ${headerTag}`);
-
-        headers.forEach((header) => {
-          if (header.textContent.trim() === cap(matchingKey)) {
-            header.classList.remove("collapsed");
-            const nextElement = header.nextElementSibling;
-            if (nextElement) {
-              nextElement.classList.remove("collapsed");
-            }
-          }
-        });
-      }, 50);
-
-      // If this is the last part, try to show content or just expand
-      if (i === pathParts.length - 1) {
-        if (typeof current === "string" || current === null) {
-          // This is actual content, show it
-          const contentPath = fullPath.join("/");
-          setTimeout(() => {
-            showContent(contentPath, current);
-
-            // Mark the navigation item as active
-            const navItems = document.querySelectorAll("nav li");
-            navItems.forEach((item) => {
-              if (item.textContent.trim() === cap(matchingKey)) {
-                item.classList.add("active");
-              } else {
-                item.classList.remove("active");
-              }
-            });
-          }, 100);
-        }
-        return true; // Successfully navigated to this level
-      }
-    } else {
-      console.warn("Path part not found:", part, "in", Object.keys(current));
-      return false; // Navigation failed
+// Back to the empty start page (no ?nav=)
+function showHome() {
+  document.getElementById("title").textContent = "Select a Parsha";
+  document.getElementById("crumbs").textContent = "";
+  document.getElementById("content").innerHTML = "";
+  renderEntryMeta(null);
+  activeEntryPath = null;
+  document.querySelectorAll("nav li.active").forEach((item) => {
+    item.classList.remove("active");
+    if (item.getAttribute("role") === "treeitem") {
+      item.setAttribute("aria-selected", "false");
+    }
+  });
+}
+
+// &t= and &page= from the URL, for navigateToPath
+function getEntryUrlOptions() {
+  return {
+    time: parseTimestamp(getUrlParameter("t")),
+    page: parseInt(getUrlParameter("page"), 10) || null,
+  };
+}
+
+// Back/Forward: show whatever the URL now points to and put the tree back
+// the way it was
+function initHistory(manifest) {
+  window.addEventListener("popstate", (event) => {
+    if (getNavView() !== navView) {
+      renderNav(manifest);
+      markPinnedEntries();
     }
-  }
 
-  return true; // Successfully expanded all found levels
+    // Going back to the entry that's already open (from a folder link, say)
+    // leaves it alone: showing it again would seek to &t= and restart the
+    // recording
+    const navParam = getUrlParameter("nav");
+    const alreadyOpen =
+      navParam &&
+      activeEntryPath !== null &&
+      resolveNavPath(navParam, manifest).keys.join("/") === activeEntryPath;
+    if (
+      !alreadyOpen &&
+      (!navParam || !navigateToPath(navParam, manifest, getEntryUrlOptions()))
+    ) {
+      showHome();
+    }
+
+    if (event.state && Array.isArray(event.state.expanded)) {
+      setExpandedPaths(event.state.expanded);
+    }
+  });
 }
 
 // Initialize the application
 (async () => {
   try {
+    registerServiceWorker();
     const manifest = await loadManifest();
     renderNav(manifest);
-    initMobileNav();
-
-    // Check for URL parameter navigation
+    initNavViews(manifest);
+    initNavKeyboard();
+    renderContinueListening();
+    renderSavedEntries();
+    const thisWeekPath = renderFeatured(manifest);
+    initSearch(manifest);
+    initOffline(manifest);
+    initMiniPlayer();
+    initHistory(manifest);
+
+    // Check for URL parameter navigation. The tree is already rendered,
+    // so this can run straight away.
     const navParam = getUrlParameter("nav");
     if (navParam) {
       console.log("Nav parameter found:", navParam);
-      // Small delay to ensure navigation is rendered
-      setTimeout(() => {
-        const success = navigateToPath(navParam, manifest);
-        if (!success) {
-          console.warn("Failed to navigate to nav path:", navParam);
-          // Clear invalid parameter
-          updateUrlParameter("nav", null);
-        }
-      }, 200);
+      if (!navigateToPath(navParam, manifest, getEntryUrlOptions())) {
+        console.warn("Failed to navigate to nav path:", navParam);
+        // Clear invalid parameter
+        updateUrlParameter("nav", null);
+      }
+    } else if (thisWeekPath) {
+      // Nothing requested - open this week's parsha in the tree
+      navigateToPath(cleanNavPath(thisWeekPath), manifest);
     }
+    saveNavState();
+
+    // After navigating, so a deep-linked sheet isn't covered by the menu
+    initMobileNav();
   } catch (e) {
     console.error(e);
     alert(
@@ -0,0 +1,155 @@
+// Service worker: keeps the app shell and manifest.json available offline,
+// and serves entries the user pinned (see the "Save offline" buttons in
+// script.js) from the pinned cache.
+//
+// Bump SHELL_CACHE when the list of shell files changes. PINNED_CACHE is
+// written by the page and must keep the same name across versions.
+
+const SHELL_CACHE = "zeidyd-shell-v4";
+const RUNTIME_CACHE = "zeidyd-runtime-v2";
+const PINNED_CACHE = "zeidyd-pinned";
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "script.js",
+  "hebrew-calendar.js",
+  "transcript.js",
+  "pdf-viewer.js",
+  "vendor/pdfjs/pdf.min.mjs",
+  "vendor/pdfjs/pdf.worker.min.mjs",
+  "styles.css",
+  "manifest.json",
+  "app.webmanifest",
+  "favicon.png",
+  "Thumbnail.jpg",
+];
+
+const FILES_PATH = new URL("Files/", self.registration.scope).pathname;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, PINNED_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => !keep.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // YouTube etc. go straight to the network
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === "HEAD") {
+    event.respondWith(headResponse(request));
+  } else if (request.method !== "GET") {
+    return;
+  } else if (
+    url.pathname.startsWith(FILES_PATH) &&
+    !url.pathname.endsWith("/meta.json")
+  ) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Answer HEAD checks from the cache when we have the file, so pinned media
+// isn't reported missing offline. 503 tells the page we couldn't check.
+// Pinned media is stored under "?v=<hash>" URLs, hence ignoreSearch.
+async function headResponse(request) {
+  const cached = await caches.match(request, {
+    ignoreMethod: true,
+    ignoreSearch: true,
+  });
+  if (cached) {
+    return new Response(null, { status: 200, headers: cached.headers });
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return new Response(null, { status: 503, statusText: "Offline" });
+  }
+}
+
+// PDFs and MP3s: pinned copy if there is one, else the network. Unpinned
+// media isn't cached - recordings are large and most are played once.
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return rangeResponse(request, cached);
+  return fetch(request);
+}
+
+// Everything else (app shell, manifest.json, search index, meta.json):
+// fresh from the network when online, last good copy when not
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // "?nav=..." deep links all load the same page
+    const cached = await caches.match(request, {
+      ignoreSearch: request.mode === "navigate",
+    });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Audio elements ask for byte ranges; the cache only holds whole files
+async function rangeResponse(request, response) {
+  const range = request.headers.get("Range");
+  const match = range && /^bytes=(\d*)-(\d*)$/.exec(range);
+  if (!match) return response;
+
+  const body = await response.blob();
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(0, body.size - Number(match[2]));
+    end = body.size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), body.size - 1) : body.size - 1;
+  }
+
+  if (start >= body.size || start > end) {
+    return new Response(null, {
+      status: 416,
+      headers: { "Content-Range": `bytes */${body.size}` },
+    });
+  }
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Range": `bytes ${start}-${end}/${body.size}`,
+      "Content-Length": String(end - start + 1),
+    },
+  });
+}
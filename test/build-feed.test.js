@@ -0,0 +1,81 @@
+// Run with: node --test test/
+//
+// Checks the dates the podcast feed gives entries that have no "date" in
+// their meta.json.
+
+const assert = require("node:assert");
+const test = require("node:test");
+const { entryDay, publishDate } = require("../build-feed");
+
+const iso = (fixed) =>
+  new Date((fixed - 719163) * 86400000).toISOString().slice(0, 10);
+
+function day(...pathParts) {
+  const fixed = entryDay(pathParts);
+  return fixed === null ? null : iso(fixed);
+}
+
+test("a parsha entry falls on the Shabbos it was read", () => {
+  assert.strictEqual(
+    day("01 - Bereshis", "01 - Bereshis", "5784"),
+    "2023-10-14"
+  );
+  assert.strictEqual(
+    day("02 - Shemos", "04 - Beshalach", "5783"),
+    "2023-02-04"
+  );
+  // Combined parshiyos go by the first
+  assert.strictEqual(
+    day("03 - Vayikra", "06 - Tazria-Metzora", "5785"),
+    "2025-05-03"
+  );
+});
+
+test("Vayailech and Ha'azinu after Rosh Hashana belong to the new year", () => {
+  assert.strictEqual(
+    day("05 - Devarim", "09 - Vayailech", "5786"),
+    "2025-09-27"
+  );
+  assert.strictEqual(
+    day("05 - Devarim", "11 - Ha'azinu", "5786"),
+    "2025-10-04"
+  );
+  assert.strictEqual(
+    day("05 - Devarim", "12 - V'zos Habracha", "5786"),
+    "2025-10-15"
+  );
+});
+
+test("a Yom Tov entry falls on its Yom Tov", () => {
+  assert.strictEqual(
+    day("06 - Yom Tov", "10 - Yom Kippur", "5786"),
+    "2025-10-02"
+  );
+  assert.strictEqual(
+    day("06 - Yom Tov", "15 - Chanukah", "5785"),
+    "2024-12-26"
+  );
+  assert.strictEqual(day("06 - Yom Tov", "18 - Purim", "5784"), "2024-03-24");
+  assert.strictEqual(day("06 - Yom Tov", "17 - Purim Katon", "5785"), null);
+});
+
+test("entries without a year have no day", () => {
+  assert.strictEqual(day("07 - Misc", "Bris"), null);
+});
+
+test("publishDate prefers meta.json and spaces out parts", () => {
+  const parts = ["02 - Shemos", "04 - Beshalach", "5783"];
+  assert.strictEqual(
+    publishDate({}, parts).toISOString(),
+    "2023-02-04T12:00:00.000Z"
+  );
+  assert.strictEqual(
+    publishDate({}, [...parts, "Beshalach 5783 (2)"]).toISOString(),
+    "2023-02-04T12:01:00.000Z"
+  );
+  assert.strictEqual(
+    publishDate({ date: "2023-02-07" }, parts).toISOString(),
+    "2023-02-07T12:00:00.000Z"
+  );
+  assert.strictEqual(publishDate({}, ["07 - Misc", "Bris"]), null);
+});
@@ -0,0 +1,157 @@
+// Run with: node --test test/
+//
+// Checks the parsha schedule and Yom Tov dates against published calendars
+// for recent years.
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  buildParshaSchedule,
+  getUpcomingYomTov,
+  getWeeklyParsha,
+} = require("../hebrew-calendar");
+
+// Fixed day number of a "YYYY-MM-DD" date, and back
+const day = (iso) => Math.floor(Date.parse(iso) / 86400000) + 719163;
+const iso = (fixed) =>
+  new Date((fixed - 719163) * 86400000).toISOString().slice(0, 10);
+
+function reading(year, israel, date) {
+  const names = buildParshaSchedule(year, israel).get(day(date));
+  return names ? names.join("-") : null;
+}
+
+test("5784 is a leap year, so no parshiyos are joined until summer", () => {
+  assert.strictEqual(reading(5784, false, "2023-10-14"), "Bereshis");
+  assert.strictEqual(reading(5784, false, "2024-03-09"), "Vayakel");
+  assert.strictEqual(reading(5784, false, "2024-03-16"), "Pekudei");
+  assert.strictEqual(reading(5784, false, "2024-04-13"), "Tazria");
+  assert.strictEqual(reading(5784, false, "2024-04-20"), "Metzora");
+  assert.strictEqual(reading(5784, false, "2024-05-25"), "Behar");
+  assert.strictEqual(reading(5784, false, "2024-06-01"), "Bechukosai");
+  assert.strictEqual(reading(5784, false, "2024-08-03"), "Matos-Maasei");
+  // Rosh Hashana on Thursday leaves one Shabbos before Sukkos
+  assert.strictEqual(reading(5784, false, "2024-09-28"), "Nitzavim-Vayailech");
+  assert.strictEqual(reading(5784, false, "2024-10-05"), "Ha'azinu");
+});
+
+test("5785 joins the usual pairs after Pesach", () => {
+  assert.strictEqual(reading(5785, false, "2024-10-26"), "Bereshis");
+  // Enough Shabbosos before Pesach for Vayakel and Pekudei apart
+  assert.strictEqual(reading(5785, false, "2025-03-22"), "Vayakel");
+  assert.strictEqual(reading(5785, false, "2025-03-29"), "Pekudei");
+  assert.strictEqual(reading(5785, false, "2025-04-12"), "Tzav");
+  // The last day of Pesach is Shabbos
+  assert.strictEqual(reading(5785, false, "2025-04-19"), null);
+  assert.strictEqual(reading(5785, false, "2025-04-26"), "Shmini");
+  assert.strictEqual(reading(5785, false, "2025-05-03"), "Tazria-Metzora");
+  assert.strictEqual(reading(5785, false, "2025-05-10"), "Achrei Mos-Kedoshim");
+  assert.strictEqual(reading(5785, false, "2025-05-24"), "Behar-Bechukosai");
+  assert.strictEqual(reading(5785, false, "2025-07-26"), "Matos-Maasei");
+  assert.strictEqual(reading(5785, false, "2025-08-02"), "Devarim");
+  // Rosh Hashana on Tuesday leaves room for Nitzavim and Vayailech apart
+  assert.strictEqual(reading(5785, false, "2025-09-20"), "Nitzavim");
+  assert.strictEqual(reading(5785, false, "2025-09-27"), "Vayailech");
+  assert.strictEqual(reading(5785, false, "2025-10-04"), "Ha'azinu");
+});
+
+test("Israel reads ahead when the diaspora has a second day of Yom Tov", () => {
+  // 5783: the second day of Shavuos is Shabbos
+  assert.strictEqual(reading(5783, false, "2023-05-27"), null);
+  assert.strictEqual(reading(5783, true, "2023-05-27"), "Naso");
+  assert.strictEqual(reading(5783, false, "2023-06-03"), "Naso");
+  assert.strictEqual(reading(5783, true, "2023-06-03"), "Behaloscha");
+  // and catches up when the diaspora joins Chukas and Balak
+  assert.strictEqual(reading(5783, false, "2023-07-01"), "Chukas-Balak");
+  assert.strictEqual(reading(5783, true, "2023-07-01"), "Balak");
+  assert.strictEqual(reading(5783, false, "2023-07-15"), "Matos-Maasei");
+  assert.strictEqual(reading(5783, true, "2023-07-15"), "Matos-Maasei");
+  // 5786 the same
+  assert.strictEqual(reading(5786, false, "2026-05-23"), null);
+  assert.strictEqual(reading(5786, true, "2026-05-23"), "Naso");
+  assert.strictEqual(reading(5786, false, "2026-06-27"), "Chukas-Balak");
+  assert.strictEqual(reading(5786, true, "2026-06-27"), "Balak");
+});
+
+test("a Shabbos that is Yom Tov gives the next week's parsha", () => {
+  const result = getWeeklyParsha(new Date(2025, 3, 16), false);
+  assert.strictEqual(iso(result.shabbos), "2025-04-26");
+  assert.deepStrictEqual(result.parsha, ["Shmini"]);
+  assert.strictEqual(result.yomTovShabbos, true);
+
+  // Ha'azinu is read after Rosh Hashana, from the previous year's cycle
+  const haazinu = getWeeklyParsha(new Date(2025, 9, 1), false);
+  assert.strictEqual(iso(haazinu.shabbos), "2025-10-04");
+  assert.deepStrictEqual(haazinu.parsha, ["Ha'azinu"]);
+});
+
+function upcoming(date, israel) {
+  return getUpcomingYomTov(date, israel, 30).map(({ name, start, end }) => ({
+    name,
+    start: iso(start),
+    end: iso(end),
+  }));
+}
+
+test("Yom Tov dates", () => {
+  const tishrei = upcoming(new Date(2025, 8, 20), false);
+  assert.deepStrictEqual(
+    tishrei.filter(({ name }) => name !== "Elul"),
+    [
+      { name: "Rosh Hashana", start: "2025-09-23", end: "2025-09-24" },
+      { name: "Yom Kippur", start: "2025-10-02", end: "2025-10-02" },
+      { name: "Sukkos", start: "2025-10-07", end: "2025-10-13" },
+      { name: "Hoshana Raba", start: "2025-10-13", end: "2025-10-13" },
+      { name: "Shmini Atzeres", start: "2025-10-14", end: "2025-10-14" },
+      { name: "Simchas Torah", start: "2025-10-15", end: "2025-10-15" },
+    ]
+  );
+  const israel = upcoming(new Date(2025, 8, 20), true);
+  assert.deepStrictEqual(
+    israel.find(({ name }) => name === "Simchas Torah"),
+    { name: "Simchas Torah", start: "2025-10-14", end: "2025-10-14" }
+  );
+
+  const pesach = (israel) =>
+    upcoming(new Date(2025, 3, 1), israel).find(
+      ({ name }) => name === "Pesach"
+    );
+  assert.deepStrictEqual(pesach(false), {
+    name: "Pesach",
+    start: "2025-04-13",
+    end: "2025-04-20",
+  });
+  assert.strictEqual(pesach(true).end, "2025-04-19");
+});
+
+test("fasts that fall on Shabbos are pushed off to Sunday", () => {
+  assert.strictEqual(
+    upcoming(new Date(2025, 6, 1), false).find(
+      ({ name }) => name === "17 Tamuz"
+    ).start,
+    "2025-07-13"
+  );
+  assert.strictEqual(
+    upcoming(new Date(2025, 6, 20), false).find(({ name }) => name === "9 Av")
+      .start,
+    "2025-08-03"
+  );
+});
+
+test("Purim is in Adar II in a leap year, after Purim Katon", () => {
+  const adar = upcoming(new Date(2024, 1, 20), false);
+  assert.strictEqual(
+    adar.find(({ name }) => name === "Purim Katon").start,
+    "2024-02-23"
+  );
+  assert.strictEqual(
+    upcoming(new Date(2024, 2, 20), false).find(({ name }) => name === "Purim")
+      .start,
+    "2024-03-24"
+  );
+  assert.ok(
+    !upcoming(new Date(2025, 1, 20), false).some(
+      ({ name }) => name === "Purim Katon"
+    )
+  );
+});
@@ -0,0 +1,54 @@
+// Run with: node --test test/
+//
+// Checks extractText against sheets in Files/ whose Hebrew used to come out
+// in visual order (words and letters reversed, vowel points on the wrong
+// letter).
+
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const { extractText } = require("../pdf-reader");
+
+function sheetText(file) {
+  return extractText(
+    fs.readFileSync(path.join(__dirname, "..", "Files", file))
+  );
+}
+
+test("Hebrew words and letters come out in reading order", () => {
+  const text = sheetText("02 - Shemos/10 - Vayakel/5785/Vayakel 5785.pdf");
+  assert.match(text, /In פרשת ויקהל, which details/);
+  assert.match(text, /בני ישראל actually carried out/);
+});
+
+test("a run of several Hebrew words keeps their order", () => {
+  const text = sheetText("02 - Shemos/02 - Vaeira/5783/Vaeira 5783.pdf");
+  assert.match(text, /This דבר תורה was said לעלוי נשמת/);
+  assert.match(text, /my father, אהרן בן יששכר ע״ה/);
+});
+
+test("vowel points stay on their letters", () => {
+  const text = sheetText("02 - Shemos/10 - Vayakel/5785/Vayakel 5785.pdf");
+  assert.ok(
+    text.includes(
+      "וְהַנְשִׂאִם הֵבִיאוּ אֵת אַבְנֵי הַשֹּׁהַם".normalize("NFC")
+    )
+  );
+  // Shin and sin dots only on shin
+  assert.doesNotMatch(text, /[א-רת][֑-ׇ]*[ׁׂ]/);
+});
+
+test("a word drawn a glyph at a time stays whole", () => {
+  const text = sheetText("02 - Shemos/05 - Yisro/5783/Yisro 5783.pdf");
+  assert.ok(text.includes("סְגֻלָּה מִכׇּל".normalize("NFC")));
+  // Nor do kerned vowel points split words
+  assert.ok(text.includes("וּשְמַרְתֶּם אֶת בְרִיתִי".normalize("NFC")));
+  // No dagesh in the gutturals
+  assert.ok(text.includes("הָעַמִים".normalize("NFC")));
+});
+
+test("numbers in Hebrew runs read left to right", () => {
+  const text = sheetText("02 - Shemos/03 - Bo/5785/Bo 5785.pdf");
+  assert.match(text, /\(12:39\): וַיֹאפוּ אֶת/);
+});
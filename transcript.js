@@ -0,0 +1,45 @@
+// WebVTT/SRT transcript parsing, shared by the site (loaded before
+// script.js), which shows the cues as captions, and build-manifest.js,
+// which indexes them for search.
+
+// Cues of a WebVTT or SRT transcript, as [{ start, end, text }] with times
+// in seconds. Cue settings, styling tags and notes are dropped.
+function parseTranscript(source) {
+  const timing =
+    /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+  const seconds = (value) =>
+    value
+      .replace(",", ".")
+      .split(":")
+      .reduce((total, part) => total * 60 + Number(part), 0);
+
+  const cues = [];
+  const blocks = source
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/);
+  for (const block of blocks) {
+    // SRT numbers its cues and WebVTT may name them, so the timing line
+    // isn't always first
+    const lines = block.split("\n");
+    const at = lines.findIndex((line) => timing.test(line));
+    if (at === -1) continue; // WEBVTT header, NOTE, STYLE or REGION
+    const [, start, end] = timing.exec(lines[at]);
+    const text = lines
+      .slice(at + 1)
+      .join(" ")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (text) cues.push({ start: seconds(start), end: seconds(end), text });
+  }
+  return cues;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { parseTranscript };
+}